@@ -23,6 +23,12 @@ def _parse_args():
         help="Whether to use previously pickled IRModule and skip trace.",
     )
     args.add_argument("--debug-dump", action="store_true", default=False)
+    args.add_argument(
+        "--prompt-chunks",
+        type=int,
+        default=1,
+        help="Number of 77-token prompt chunks the UNet takes, for long prompts.",
+    )
 
     parsed = args.parse_args()
 
@@ -73,14 +79,18 @@ def debug_dump_shader(ex, name, args):
 
 def trace_models(
     device_str: str,
+    prompt_chunks: int,
 ) -> Tuple[tvm.IRModule, Dict[str, List[tvm.nd.NDArray]]]:
     from diffusers import StableDiffusionPipeline
 
     pipe = StableDiffusionPipeline.from_pretrained("runwayml/stable-diffusion-v1-5")
     clip = trace.clip_to_text_embeddings(pipe)
-    unet = trace.unet_latents_to_noise_pred(pipe, device_str)
+    unet = trace.unet_latents_to_noise_pred(pipe, device_str, prompt_chunks)
     vae = trace.vae_to_image(pipe)
+    encoder = trace.vae_to_latents(pipe)
     concat_embeddings = trace.concat_embeddings()
+    prompt_weighting = trace.prompt_weighting()
+    masked_blend = trace.masked_blend()
     image_to_rgba = trace.image_to_rgba()
     schedulers = [scheduler.scheduler_steps() for scheduler in trace.schedulers]
 
@@ -88,7 +98,10 @@ def trace_models(
         clip,
         unet,
         vae,
+        encoder,
         concat_embeddings,
+        prompt_weighting,
+        masked_blend,
         image_to_rgba,
         *schedulers,
     )
@@ -99,14 +112,22 @@ def legalize_and_lift_params(
     mod: tvm.IRModule, model_params: Dict[str, List[tvm.nd.NDArray]], args: Dict
 ) -> tvm.IRModule:
     """First-stage: Legalize ops and trace"""
-    model_names = ["clip", "unet", "vae"]
+    model_names = ["clip", "unet", "vae", "encoder"]
     scheduler_func_names = [
         name
         for scheduler in trace.schedulers
         for name in scheduler.scheduler_steps_func_names()
     ]
     entry_funcs = (
-        model_names + scheduler_func_names + ["image_to_rgba", "concat_embeddings"]
+        model_names
+        + scheduler_func_names
+        + [
+            "image_to_rgba",
+            "concat_embeddings",
+            "weight_embeddings",
+            "concat_prompt_chunks",
+            "masked_blend",
+        ]
     )
 
     mod = relax.pipeline.get_pipeline()(mod)
@@ -119,9 +140,10 @@ def legalize_and_lift_params(
 
     debug_dump_script(mod_transform, "mod_lift_params.py", args)
 
+    # the scheduler constants read by the native runtime of deploy.py
     trace.compute_save_scheduler_consts(args.artifact_path)
     new_params = utils.transform_params(mod_transform, model_params)
-    utils.save_params(new_params, args.artifact_path)
+    utils.save_params(new_params, args.artifact_path, args.prompt_chunks)
     return mod_deploy
 
 
@@ -155,7 +177,7 @@ if __name__ == "__main__":
     cache_path = os.path.join(ARGS.artifact_path, "mod_cache_before_build.pkl")
     use_cache = ARGS.use_cache and os.path.isfile(cache_path)
     if not use_cache:
-        mod, params = trace_models(torch_dev_key)
+        mod, params = trace_models(torch_dev_key, ARGS.prompt_chunks)
         mod = legalize_and_lift_params(mod, params, ARGS)
         with open(cache_path, "wb") as outfile:
             pickle.dump(mod, outfile)
@@ -26,6 +26,7 @@ def _parse_args():
         "--prompt", type=str, default="A photo of an astronaut riding a horse on mars."
     )
     args.add_argument("--negative-prompt", type=str, default="")
+    args.add_argument("--guidance-scale", type=float, default=7.5)
     args.add_argument(
         "--scheduler",
         type=str,
@@ -77,7 +78,11 @@ class TVMSDPipeline:
         if self.debug_dump_dir:
             np.save(f"{self.debug_dump_dir}/{name}.npy", arr.numpy())
 
-    def __call__(self, prompt: str, negative_prompt: str = ""):
+    def __call__(
+        self, prompt: str, negative_prompt: str = "", guidance_scale: float = 7.5
+    ):
+        import numpy as np
+
         # height = width = 512
 
         list_text_embeddings = []
@@ -100,6 +105,11 @@ class TVMSDPipeline:
 
         self.debug_dump("text_embeddings", text_embeddings)
 
+        guidance_scale = tvm.nd.array(
+            np.array(guidance_scale, dtype="float32"), self.tvm_device
+        )
+        self.debug_dump("guidance_scale", guidance_scale)
+
         latents = torch.randn(
             (1, 4, 64, 64),
             device="cpu",
@@ -111,7 +121,9 @@ class TVMSDPipeline:
             t = self.scheduler.timesteps[i]
             self.debug_dump(f"unet_input_{i}", latents)
             self.debug_dump(f"timestep_{i}", t)
-            noise_pred = self.unet_latents_to_noise_pred(latents, t, text_embeddings)
+            noise_pred = self.unet_latents_to_noise_pred(
+                latents, t, text_embeddings, guidance_scale
+            )
             self.debug_dump(f"unet_output_{i}", noise_pred)
             latents = self.scheduler.step(self.vm, noise_pred, latents, i)
 
@@ -156,7 +168,7 @@ def deploy_to_pipeline(args) -> None:
     )
 
     start = time.time()
-    image = pipe(args.prompt, args.negative_prompt)
+    image = pipe(args.prompt, args.negative_prompt, args.guidance_scale)
     end = time.time()
 
     img_path = f"{args.artifact_path}/example.png"
@@ -13,10 +13,9 @@ cp $1 site/stable-diffusion-config.json
 echo "Copy files..."
 cp web/stable_diffusion.html site/_includes
 cp web/stable_diffusion.js site/dist
+cp web/stable_diffusion_core.js site/dist
+cp web/scheduler_reference.js site/dist
 
-cp dist/scheduler_pndm_consts.json site/dist
-cp dist/scheduler_dpm_solver_multistep_consts.json site/dist
-cp dist/scheduler_euler_discrete_consts.json site/dist
 cp dist/stable_diffusion_webgpu.wasm site/dist
 cp dist/stable_diffusion_xl.wasm site/dist
 
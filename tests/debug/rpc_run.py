@@ -33,11 +33,12 @@ def main_unet(args):
     )
     unet_input = load_checkpt(args, f"unet_input_{args.counter}")
     text_embeddings = load_checkpt(args, f"text_embeddings")
+    guidance_scale = load_checkpt(args, f"guidance_scale")
     timestep = load_checkpt(args, f"timestep_{args.counter}")
     unet_output = load_checkpt(args, f"unet_output_{args.counter}")
     nparams = load_metadata(args)["unetParamSize"]
     unet = sess.get_wrapper("unet", nparams, time_eval=args.time_eval)
-    result = unet(unet_input, timestep, text_embeddings)
+    result = unet(unet_input, timestep, text_embeddings, guidance_scale)
     np.testing.assert_allclose(result, unet_output, atol=4e-5)
 
 
@@ -0,0 +1,340 @@
+import test from "node:test";
+import assert from "node:assert";
+import { createMockTVM, installMockBrowser, mockTokenizer } from "./mock_tvm.mjs";
+import { StableDiffusionInstance } from "../../web/stable_diffusion_core.js";
+
+const baseUrl = "https://example.com/";
+const MB = 1024 * 1024;
+
+// the output shapes of the model libraries, by wasm URL
+const modelOutputShapes = {
+  "sd.wasm": { image_to_rgba: [64, 64] },
+  "xl.wasm": {
+    clip: [[1, 77, 768]],
+    clip2: [[1, 77, 1280], [1, 1280]],
+    concat_enocder_outputs: [1, 77, 2048],
+    image_to_rgba: [64, 64],
+  },
+  "refiner.wasm": {
+    clip2: [[1, 77, 1280], [1, 1280]],
+    image_to_rgba: [64, 64],
+  },
+};
+
+/**
+ * A WebGPU device that resolves its lost promise when destroyed.
+ */
+function createMockDevice() {
+  let markLost = undefined;
+  return {
+    destroyed: false,
+    lost: new Promise((resolve) => { markLost = resolve; }),
+    destroy() {
+      this.destroyed = true;
+      markLost({ reason: "destroyed" });
+    },
+  };
+}
+
+/**
+ * Install the tvmjs globals, each instantiated model library is a mock tvm
+ * whose GPU syncs fail once its device is destroyed, like the WebGPU runtime.
+ *
+ * @returns The runtime, with the detected devices, the tvm instances
+ * and the cache metadata of the next instances.
+ */
+function installMockRuntime() {
+  const runtime = {
+    devices: [], instances: [], cacheMetadata: { imageSizes: [[64, 64], [512, 512]] }
+  };
+  globalThis.EmccWASI = class {};
+  globalThis.tvmjs = {
+    async detectGPUDevice() {
+      const device = createMockDevice();
+      runtime.devices.push(device);
+      return { adapterInfo: { description: "mock" }, device: device };
+    },
+    async instantiate(wasm) {
+      const wasmUrl = new TextDecoder().decode(wasm);
+      const tvm = createMockTVM(modelOutputShapes[wasmUrl]);
+      Object.assign(tvm, {
+        wasmUrl: wasmUrl,
+        cacheMetadata: { ...runtime.cacheMetadata },
+        cacheCleared: false,
+        initWebGPU(device) {
+          this.gpuDevice = device;
+        },
+        bindCanvas() {},
+        registerInitProgressCallback() {},
+        async fetchNDArrayCache() {},
+        ndarrayCacheClear() {
+          this.cacheCleared = true;
+        },
+        dispose() {
+          this.gpuDevice.destroy();
+        },
+        webgpu() {
+          const device = this.gpuDevice;
+          return {
+            sync: async () => {
+              if (device.destroyed) throw Error("The GPU device is destroyed");
+            },
+          };
+        },
+      });
+      runtime.instances.push(tvm);
+      return tvm;
+    },
+  };
+  return runtime;
+}
+
+/**
+ * Create an instance on the mock runtime, with a model of 4MB, one of 7MB
+ * and a refiner of 3MB that is only used when the config lists it.
+ *
+ * @param config The config entries to override.
+ * @param options The instance options to override.
+ * @returns The instance, the runtime, the logged messages, the generated images
+ * and the canvas sizes.
+ */
+function createInstance(config = {}, options = {}) {
+  const files = {
+    "stable-diffusion-config.json": JSON.stringify({
+      model_lib_map: { "Stable-Diffusion-1.5": "sd.wasm", "Stable-Diffusion-XL": "xl.wasm" },
+      param_dict: { "Stable-Diffusion-1.5": "sd/", "Stable-Diffusion-XL": "xl/" },
+      tokenizer: "openai/clip-vit-large-patch14",
+      tokenizer2: "openai/clip-vit-large-patch14",
+      ...config,
+    }),
+    "sd.wasm": "sd.wasm",
+    "xl.wasm": "xl.wasm",
+    "refiner.wasm": "refiner.wasm",
+  };
+  for (const [path, nbytes] of [["sd/", 4 * MB], ["xl/", 7 * MB], ["refiner/", 3 * MB]]) {
+    files[baseUrl + path + "ndarray-cache.json"] = JSON.stringify({
+      records: [{ dataPath: "params_shard_0.bin", nbytes: nbytes }]
+    });
+    files[baseUrl + path + "params_shard_0.bin"] = "weights";
+  }
+  installMockBrowser(files);
+  const runtime = installMockRuntime();
+  const logs = [];
+  const images = [];
+  const canvasSizes = [];
+  const instance = new StableDiffusionInstance({
+    logger: (message) => logs.push(message),
+    onImage: (image) => images.push(image),
+    resizeCanvas: (width, height) => canvasSizes.push([width, height]),
+    getTokenizer: async () => mockTokenizer,
+    baseUrl: baseUrl,
+    ...options,
+  });
+  return {
+    instance: instance, runtime: runtime, logs: logs, images: images, canvasSizes: canvasSizes
+  };
+}
+
+const sdJob = {
+  prompt: "a photo of a cat",
+  schedulerName: "multistep-dpm-solver",
+  options: { width: 64, height: 64, seed: 1, numSteps: 2 },
+};
+const xlJob = { ...sdJob, schedulerName: "euler-discrete" };
+const refinerConfig = {
+  model_lib_map: {
+    "Stable-Diffusion-1.5": "sd.wasm", "Stable-Diffusion-XL": "xl.wasm", "refiner": "refiner.wasm"
+  },
+  param_dict: { "Stable-Diffusion-1.5": "sd/", "Stable-Diffusion-XL": "xl/", "refiner": "refiner/" },
+};
+
+test("models share the GPU device", async () => {
+  const { instance, runtime } = createInstance({ gpu_memory_budget_mb: 16 });
+  instance.selectModel("Stable-Diffusion-1.5");
+  await instance.asyncInit();
+  instance.selectModel("Stable-Diffusion-XL");
+  await instance.asyncInit();
+  assert.strictEqual(runtime.devices.length, 1);
+  assert.ok(runtime.instances.every((tvm) => tvm.gpuDevice === runtime.devices[0]));
+});
+
+test("evicting a model keeps the GPU device of the other models", async () => {
+  const { instance, runtime, images } = createInstance({ gpu_memory_budget_mb: 10 });
+  instance.selectModel("Stable-Diffusion-1.5");
+  await instance.asyncInit();
+  const evicted = instance.loadedModels.get("Stable-Diffusion-1.5");
+  instance.selectModel("Stable-Diffusion-XL");
+  await instance.generate(xlJob);
+  assert.deepStrictEqual([...instance.loadedModels.keys()], ["Stable-Diffusion-XL"]);
+  assert.ok(evicted.tvm.cacheCleared);
+  assert.deepStrictEqual([...evicted.tvm.live], []);
+  assert.strictEqual(runtime.devices[0].destroyed, false);
+  assert.deepStrictEqual(instance.jobQueue.map((job) => job.status), ["done"]);
+  assert.strictEqual(images.length, 1);
+});
+
+test("reset unloads the models and keeps the GPU device", async () => {
+  const { instance, runtime } = createInstance();
+  instance.selectModel("Stable-Diffusion-1.5");
+  await instance.asyncInit();
+  const model = instance.loadedModels.get("Stable-Diffusion-1.5");
+  instance.reset();
+  assert.strictEqual(instance.loadedModels.size, 0);
+  assert.ok(model.tvm.cacheCleared);
+  await instance.generate(sdJob);
+  assert.deepStrictEqual(instance.jobQueue.map((job) => job.status), ["done"]);
+  assert.strictEqual(runtime.devices.length, 1);
+});
+
+test("a lost GPU device unloads the models", async () => {
+  const { instance, runtime, logs } = createInstance();
+  instance.selectModel("Stable-Diffusion-1.5");
+  await instance.asyncInit();
+  runtime.devices[0].destroy();
+  await runtime.devices[0].lost;
+  assert.strictEqual(instance.loadedModels.size, 0);
+  assert.ok(logs.some((message) => message.includes("device is lost")));
+  await instance.generate(sdJob);
+  assert.deepStrictEqual(instance.jobQueue.map((job) => job.status), ["done"]);
+  assert.strictEqual(runtime.devices.length, 2);
+});
+
+test("jobs without a size use the default size of the model", async () => {
+  const { instance, images, canvasSizes } = createInstance();
+  instance.selectModel("Stable-Diffusion-1.5");
+  await instance.generate({ ...sdJob, options: { seed: 1, numSteps: 2 } });
+  assert.deepStrictEqual(instance.jobQueue.map((job) => job.status), ["done"]);
+  assert.deepStrictEqual(canvasSizes, [[512, 512]]);
+  assert.deepStrictEqual([images[0].width, images[0].height], [512, 512]);
+});
+
+test("the refiner is ignored when it is not in the config", async () => {
+  const { instance, logs, images } = createInstance();
+  instance.selectModel("Stable-Diffusion-XL");
+  await instance.generate({ ...xlJob, refinerStart: 0.8 });
+  assert.deepStrictEqual(instance.jobQueue.map((job) => job.status), ["done"]);
+  assert.ok(logs.includes("The refiner is not in the config, refiner ignored"));
+  assert.strictEqual(images.length, 1);
+});
+
+test("queued jobs run one at a time in the queue order", async () => {
+  const { instance, images } = createInstance();
+  instance.selectModel("Stable-Diffusion-1.5");
+  const running = instance.generate({ ...sdJob, prompt: "first" });
+  // the first job is running, the next ones wait in the queue
+  instance.generate({ ...sdJob, prompt: "second" });
+  instance.generate({ ...sdJob, prompt: "third" });
+  assert.deepStrictEqual(
+    instance.jobQueue.map((job) => job.status), ["running", "queued", "queued"]);
+  instance.moveJob(instance.jobQueue[2].id, -1);
+  await running;
+  assert.deepStrictEqual(images.map((image) => image.prompt), ["first", "third", "second"]);
+  assert.deepStrictEqual(
+    instance.jobQueue.map((job) => job.status), ["done", "done", "done"]);
+});
+
+test("cancel stops the running job and the queue goes on", async () => {
+  let instance = undefined;
+  let cancelled = false;
+  const created = createInstance({}, {
+    onProgress: (report) => {
+      if (!cancelled && report.text.includes("step [1/")) {
+        cancelled = true;
+        instance.cancel();
+      }
+    },
+  });
+  instance = created.instance;
+  instance.selectModel("Stable-Diffusion-1.5");
+  const running = instance.generate({ ...sdJob, prompt: "cancelled" });
+  instance.generate({ ...sdJob, prompt: "removed" });
+  instance.generate({ ...sdJob, prompt: "next" });
+  instance.removeJob(instance.jobQueue[1].id);
+  await running;
+  assert.deepStrictEqual(
+    instance.jobQueue.map((job) => [job.prompt, job.status]),
+    [["cancelled", "cancelled"], ["next", "done"]]);
+  assert.deepStrictEqual(created.images.map((image) => image.prompt), ["next"]);
+});
+
+test("the least recently used models are unloaded first", async () => {
+  const { instance, logs } = createInstance({ gpu_memory_budget_mb: 12 });
+  for (const name of ["Stable-Diffusion-1.5", "Stable-Diffusion-XL", "Stable-Diffusion-1.5"]) {
+    instance.selectModel(name);
+    await instance.asyncInit();
+  }
+  assert.deepStrictEqual(
+    [...instance.loadedModels.keys()], ["Stable-Diffusion-XL", "Stable-Diffusion-1.5"]);
+  Object.assign(instance.config, refinerConfig);
+  instance.selectModel("Stable-Diffusion-XL");
+  await instance.generate({ ...xlJob, refinerStart: 0.5 });
+  // the refiner keeps the base model, the budget unloads SD 1.5
+  assert.deepStrictEqual(instance.jobQueue.map((job) => job.status), ["done"]);
+  assert.deepStrictEqual(
+    [...instance.loadedModels.keys()], ["Stable-Diffusion-XL", "refiner"]);
+  assert.ok(logs.includes("Unloaded Stable-Diffusion-1.5 to stay within the GPU memory budget"));
+});
+
+test("without a budget only the models in use stay loaded", async () => {
+  const { instance } = createInstance(refinerConfig);
+  instance.selectModel("Stable-Diffusion-1.5");
+  await instance.asyncInit();
+  instance.selectModel("Stable-Diffusion-XL");
+  await instance.generate({ ...xlJob, refinerStart: 0.5 });
+  assert.deepStrictEqual(instance.jobQueue.map((job) => job.status), ["done"]);
+  assert.deepStrictEqual(
+    [...instance.loadedModels.keys()], ["Stable-Diffusion-XL", "refiner"]);
+  instance.selectModel("Stable-Diffusion-1.5");
+  await instance.asyncInit();
+  assert.deepStrictEqual([...instance.loadedModels.keys()], ["Stable-Diffusion-1.5"]);
+});
+
+test("a job with invalid options fails without unloading the models", async () => {
+  const { instance, images } = createInstance();
+  instance.selectModel("Stable-Diffusion-1.5");
+  await instance.generate({ ...sdJob, options: { ...sdJob.options, width: 768, height: 512 } });
+  await instance.generate({ ...sdJob, schedulerName: "euler-discrete" });
+  assert.deepStrictEqual(instance.jobQueue.map((job) => job.status), ["failed", "failed"]);
+  const model = instance.loadedModels.get("Stable-Diffusion-1.5");
+  assert.notStrictEqual(model, undefined);
+  assert.strictEqual(model.tvm.cacheCleared, false);
+  await instance.generate(sdJob);
+  assert.strictEqual(instance.jobQueue[2].status, "done");
+  assert.strictEqual(images.length, 1);
+});
+
+test("the refiner starts at the step the base model stopped at", async () => {
+  const { instance, runtime } = createInstance(refinerConfig);
+  runtime.cacheMetadata.encoderParamSize = 1;
+  instance.selectModel("Stable-Diffusion-XL");
+  const initImage = { width: 64, height: 64, data: new Uint8ClampedArray(64 * 64 * 4) };
+  await instance.generate({
+    ...xlJob, refinerStart: 0.5,
+    options: { ...xlJob.options, numSteps: 10, initImage: initImage, strength: 0.3 },
+  });
+  assert.deepStrictEqual(instance.jobQueue.map((job) => job.status), ["done"]);
+  const unetCalls = (tvm) => tvm.calls.filter((call) => call.name == "unet").length;
+  const [baseTVM, refinerTVM] = runtime.instances;
+  // strength 0.3 starts the base at step 7, past refinerStart, so it runs one step
+  assert.strictEqual(unetCalls(baseTVM), 1);
+  assert.strictEqual(unetCalls(refinerTVM), 2);
+});
+
+test("finished jobs release their init image and mask", async () => {
+  const { instance, runtime } = createInstance();
+  runtime.cacheMetadata.encoderParamSize = 1;
+  instance.selectModel("Stable-Diffusion-1.5");
+  const image = { width: 64, height: 64, data: new Uint8ClampedArray(64 * 64 * 4) };
+  const options = { ...sdJob.options, initImage: image, mask: image };
+  await instance.generate({ ...sdJob, options: options });
+  // an unsupported width fails the job
+  await instance.generate({ ...sdJob, options: { ...options, width: 32 } });
+  assert.deepStrictEqual(instance.jobQueue.map((job) => job.status), ["done", "failed"]);
+  for (const job of instance.jobQueue) {
+    assert.strictEqual(job.options.initImage, undefined);
+    assert.strictEqual(job.options.mask, undefined);
+    assert.strictEqual(job.options.seed, 1);
+  }
+  // the options of the request are not changed
+  assert.strictEqual(options.initImage, image);
+});
@@ -0,0 +1,145 @@
+import test from "node:test";
+import assert from "node:assert";
+import {
+  createMockTVM, mockTokenizer, mockSchedulerConsts
+} from "./mock_tvm.mjs";
+import {
+  StableDiffusionPipeline, DiffusionXLPipeline, DiffusionXLRefinerPipeline,
+  GenerationCancelledError, TVMLeakTracker
+} from "../../web/stable_diffusion_core.js";
+
+const imageSize = { imageSizes: [[64, 64]] };
+
+function createTracker(outputShapes = {}) {
+  const logs = [];
+  const tracker = new TVMLeakTracker(
+    createMockTVM({ image_to_rgba: [64, 64], ...outputShapes }),
+    { logger: (message) => logs.push(message) });
+  return [tracker, logs];
+}
+
+const xlOutputShapes = {
+  clip: [[1, 77, 768]],
+  clip2: [[1, 77, 1280], [1, 1280]],
+  concat_enocder_outputs: [1, 77, 2048],
+};
+
+const pipelines = {
+  "Stable-Diffusion-1.5": () => {
+    const [tracker, logs] = createTracker();
+    const tvm = tracker.tvm;
+    const pipeline = tvm.withNewScope(() => new StableDiffusionPipeline(
+      tvm, mockTokenizer, mockSchedulerConsts, imageSize));
+    return [pipeline, tracker, logs];
+  },
+  "Stable-Diffusion-XL": () => {
+    const [tracker, logs] = createTracker(xlOutputShapes);
+    const tvm = tracker.tvm;
+    const pipeline = tvm.withNewScope(() => new DiffusionXLPipeline(
+      tvm, mockTokenizer, mockTokenizer, mockSchedulerConsts, imageSize));
+    return [pipeline, tracker, logs];
+  },
+  "Stable-Diffusion-XL-Refiner": () => {
+    const [tracker, logs] = createTracker(xlOutputShapes);
+    const tvm = tracker.tvm;
+    const pipeline = tvm.withNewScope(() => new DiffusionXLRefinerPipeline(
+      tvm, mockTokenizer, mockSchedulerConsts, imageSize));
+    return [pipeline, tracker, logs];
+  },
+};
+
+function generate(pipeline, schedulerName, options = {}, progressCallback = undefined) {
+  return pipeline.generate(
+    "a photo of a cat", "blurry", progressCallback, schedulerName, -1, 10,
+    { seed: 1, width: 64, height: 64, ...options });
+}
+
+test("reports the objects that are not disposed, by stage", () => {
+  const [tracker, logs] = createTracker();
+  const tvm = tracker.tvm;
+  tracker.beginRun();
+  tracker.setStage("clip");
+  const leaked = tvm.withNewScope(() => {
+    // released with the scope
+    tvm.empty([2], "float32");
+    return tvm.detachFromCurrentScope(tvm.empty([1, 4], "float32"));
+  });
+  tracker.setStage("unet");
+  tvm.withNewScope(() => {
+    tvm.detachFromCurrentScope(tvm.createVirtualMachine().getFunction("unet"));
+  });
+  assert.deepStrictEqual(tracker.reportLeaks(), {
+    clip: ["NDArray [1, 4] float32 (detached)"],
+    unet: ["PackedFunc unet (detached)"],
+  });
+  assert.strictEqual(logs.length, 2);
+
+  leaked.dispose();
+  assert.deepStrictEqual(tracker.findLeaks(), { unet: ["PackedFunc unet (detached)"] });
+});
+
+test("tracks the outputs of the VM functions", () => {
+  const [tracker] = createTracker();
+  const tvm = tracker.tvm;
+  const vae = tvm.withNewScope(() => {
+    return tvm.detachFromCurrentScope(tvm.createVirtualMachine().getFunction("vae"));
+  });
+  tracker.beginRun();
+  tracker.setStage("vae");
+  const image = tvm.withNewScope(() => {
+    return tvm.detachFromCurrentScope(vae(tvm.empty([1, 4, 8, 8], "float32")));
+  });
+  assert.deepStrictEqual(tracker.findLeaks(), { vae: ["NDArray output of vae (detached)"] });
+  // attached again, the scope releases it
+  tvm.withNewScope(() => {
+    tvm.attachToCurrentScope(image);
+  });
+  assert.deepStrictEqual(tracker.findLeaks(), {});
+  vae.dispose();
+});
+
+for (const [model, createPipeline] of Object.entries(pipelines)) {
+  const schedulerNames = model == "Stable-Diffusion-1.5" ?
+    ["multistep-dpm-solver", "pndm", "euler-ancestral", "ddim", "lcm"] : ["euler-discrete"];
+  for (const schedulerName of schedulerNames) {
+    test(model + " generate with " + schedulerName + " does not leak", async () => {
+      const [pipeline, tracker, logs] = createPipeline();
+      const options = model == "Stable-Diffusion-XL-Refiner" ?
+        { initLatents: new Float32Array(4 * 8 * 8), denoisingStart: 0.5 } : {};
+      await generate(pipeline, schedulerName, options);
+      assert.deepStrictEqual(tracker.findLeaks(), {});
+      assert.deepStrictEqual(logs, []);
+    });
+  }
+}
+
+test("cancelled generate does not leak", async () => {
+  for (const createPipeline of Object.values(pipelines)) {
+    const [pipeline, tracker] = createPipeline();
+    const controller = new AbortController();
+    const progressCallback = (stage, counter) => {
+      if (stage == "unet" && counter == 1) controller.abort();
+    };
+    await assert.rejects(
+      generate(pipeline, undefined, { signal: controller.signal }, progressCallback),
+      GenerationCancelledError);
+    assert.deepStrictEqual(tracker.findLeaks(), {});
+  }
+});
+
+test("early denoising end does not leak", async () => {
+  const [pipeline, tracker] = pipelines["Stable-Diffusion-XL"]();
+  const result = await generate(pipeline, "euler-discrete", { denoisingEnd: 0.5 });
+  assert.notStrictEqual(result.latents, undefined);
+  assert.deepStrictEqual(tracker.findLeaks(), {});
+});
+
+test("dispose releases the objects of the pipeline", () => {
+  for (const createPipeline of Object.values(pipelines)) {
+    // no run has begun, every object of the pipeline is counted
+    const [pipeline, tracker] = createPipeline();
+    assert.notDeepStrictEqual(tracker.findLeaks(), {});
+    pipeline.dispose();
+    assert.deepStrictEqual(tracker.findLeaks(), {});
+  }
+});
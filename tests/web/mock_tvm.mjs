@@ -0,0 +1,262 @@
+// A mock tvm runtime to run the pipelines of web/stable_diffusion_core.js in node.
+//
+// The mock keeps the NDArray data on the JS side and follows the scope rules
+// of tvmjs: the objects returned by the runtime are attached to the current
+// scope and disposed when the scope ends, unless they are detached.
+
+/**
+ * Track a runtime object in the live set and the current scope.
+ *
+ * @param tvm The mock tvm instance.
+ * @param obj The object to track.
+ * @returns The object, with a dispose method.
+ */
+function track(tvm, obj) {
+  obj.disposed = false;
+  obj.dispose = () => {
+    if (obj.disposed) return;
+    obj.disposed = true;
+    tvm.live.delete(obj);
+  };
+  tvm.attachToCurrentScope(obj);
+  tvm.live.add(obj);
+  return obj;
+}
+
+export class MockNDArray {
+  constructor(tvm, shape, dtype) {
+    this.shape = shape;
+    this.dtype = dtype;
+    this.data = new Float32Array(shape.reduce((a, b) => a * b, 1));
+    track(tvm, this);
+  }
+
+  copyFrom(data) {
+    this.data.set(data instanceof MockNDArray ? data.data : data);
+    return this;
+  }
+
+  toArray() {
+    return this.data;
+  }
+
+  get(index) {
+    return this.items[index];
+  }
+}
+
+/**
+ * Create a mock tvm instance.
+ *
+ * @param outputShapes Map from VM function name to the shape of its output,
+ * or to a list of shapes for functions that return a tuple. Other functions
+ * return an NDArray shaped like their first NDArray argument.
+ * @param functions Map from VM function name to a JS implementation. It gets
+ * the data of the NDArray arguments, scalars as the value, and returns the
+ * data of an output shaped like the first argument.
+ * @param missingFunctions The VM function names the model library does not have,
+ * getFunction throws for them.
+ * @returns The tvm instance. VM function calls are recorded in tvm.calls,
+ * the objects that are not disposed yet are in tvm.live, and tvm.scopes
+ * holds the open scopes.
+ */
+export function createMockTVM(outputShapes = {}, functions = {}, missingFunctions = []) {
+  const tvm = {
+    calls: [],
+    live: new Set(),
+    scopes: [],
+    beginScope() {
+      this.scopes.push([]);
+    },
+    endScope() {
+      if (this.scopes.length == 0) {
+        throw Error("endScope is called without beginScope");
+      }
+      for (const obj of this.scopes.pop()) {
+        obj.dispose();
+      }
+    },
+    withNewScope(action) {
+      this.beginScope();
+      const result = action();
+      this.endScope();
+      return result;
+    },
+    detachFromCurrentScope(obj) {
+      const scope = this.scopes[this.scopes.length - 1];
+      const index = scope !== undefined ? scope.indexOf(obj) : -1;
+      if (index == -1) {
+        throw Error("Cannot find the object in the current scope");
+      }
+      scope.splice(index, 1);
+      return obj;
+    },
+    attachToCurrentScope(obj) {
+      if (this.scopes.length == 0) {
+        throw Error("Must call beginScope to use functions that returns TVM objects");
+      }
+      this.scopes[this.scopes.length - 1].push(obj);
+      return obj;
+    },
+    webgpu() {
+      return { sync: async () => {} };
+    },
+    cpu() {
+      return {};
+    },
+    showImage() {},
+    clearCanvas() {},
+    createVirtualMachine() {
+      return track(tvm, {
+        getFunction: (name) => {
+          if (missingFunctions.includes(name)) {
+            throw Error("Cannot find function " + name);
+          }
+          return makeFunction(name);
+        },
+        getInternalModule() {},
+      });
+    },
+    getParamsFromCache(name) {
+      return track(tvm, { name: name });
+    },
+    empty(shape, dtype) {
+      return new MockNDArray(tvm, shape, dtype);
+    },
+    async asyncLoadWebGPUPipelines() {},
+  };
+  const makeFunction = (name) => {
+    const func = (...args) => {
+      tvm.calls.push({ name: name, args: args });
+      const shape = outputShapes[name];
+      if (shape !== undefined) {
+        if (!Array.isArray(shape[0])) return new MockNDArray(tvm, shape, "float32");
+        const tuple = new MockNDArray(tvm, [shape.length], "float32");
+        tuple.items = shape.map((itemShape) => new MockNDArray(tvm, itemShape, "float32"));
+        return tuple;
+      }
+      const input = args.find((arg) => arg instanceof MockNDArray);
+      if (functions[name] !== undefined) {
+        const values = args.map((arg) => arg.shape.length == 0 ? arg.data[0] : arg.data);
+        return new MockNDArray(tvm, input.shape, "float32").copyFrom(functions[name](...values));
+      }
+      return new MockNDArray(tvm, input !== undefined ? input.shape : [1], "float32");
+    };
+    return track(tvm, func);
+  };
+  return tvm;
+}
+
+/**
+ * An in-memory cache of the Cache Storage API.
+ */
+export class MockCache {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async match(url) {
+    const entry = this.entries.get(url);
+    if (entry === undefined) return undefined;
+    return new Response(entry.body, { headers: entry.headers });
+  }
+
+  async put(url, response) {
+    this.entries.set(url, { body: await response.arrayBuffer(), headers: response.headers });
+  }
+
+  async add(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw Error("Cannot add " + url + ", HTTP status " + response.status);
+    }
+    await this.put(url, response);
+  }
+
+  async delete(url) {
+    return this.entries.delete(url);
+  }
+}
+
+/**
+ * Install the fetch and caches globals of a browser.
+ *
+ * @param files Map from URL to the fetched body, or to a function that
+ * returns the response of each fetch.
+ * @returns The cache behind caches.open, and the fetched URLs in order.
+ */
+export function installMockBrowser(files) {
+  const cache = new MockCache();
+  const fetched = [];
+  globalThis.caches = { open: async () => cache };
+  globalThis.fetch = async (url) => {
+    fetched.push(url);
+    const file = files[url];
+    if (file === undefined) return new Response("", { status: 404 });
+    return typeof file == "function" ? file() : new Response(file);
+  };
+  return { cache: cache, fetched: fetched };
+}
+
+/**
+ * A tokenizer that maps every non-space character to its char code.
+ */
+export const mockTokenizer = {
+  encode(text, addSpecialTokens) {
+    const ids = [...text].filter((c) => c != " ").map((c) => c.charCodeAt(0));
+    return { input_ids: addSpecialTokens ? [49406, ...ids, 49407] : ids };
+  },
+};
+
+export const mockNumSteps = 4;
+
+// scheduler constants of a short schedule, the values do not matter to the mock
+export const mockSchedulerConsts = {
+  "multistep-dpm-solver": {
+    num_steps: mockNumSteps,
+    timesteps: [750, 500, 250, 0],
+    alpha: [0.2, 0.4, 0.6, 0.8],
+    sigma: [0.9, 0.8, 0.6, 0.4],
+    c0: [1, 1, 1, 1],
+    c1: [1, 1, 1, 1],
+    c2: [0, 1, 1, 1],
+  },
+  "pndm": {
+    num_steps: mockNumSteps + 1,
+    timesteps: [750, 750, 500, 250, 0],
+    sample_coeff: [1, 1, 1, 1, 1],
+    alpha_diff: [1, 1, 1, 1, 1],
+    model_output_denom_coeff: [1, 1, 1, 1, 1],
+  },
+  "euler-discrete": {
+    num_steps: mockNumSteps,
+    timesteps: [750, 500, 250, 0],
+    sigma: [14.6, 4.1, 1.2, 0.3, 0],
+  },
+  "euler-ancestral": {
+    num_steps: mockNumSteps,
+    timesteps: [750, 500, 250, 0],
+    sigma: [14.6, 4.1, 1.2, 0.3, 0],
+    sigma_down: [3.9, 1.1, 0.28, 0],
+    sigma_up: [1.2, 0.4, 0.1, 0],
+    input_scale: [0.07, 0.24, 0.64, 0.96],
+    init_noise_sigma: 14.63,
+  },
+  "ddim": {
+    num_steps: mockNumSteps,
+    timesteps: [750, 500, 250, 0],
+    alpha: [0.2, 0.4, 0.6, 0.8],
+    sigma: [0.9, 0.8, 0.6, 0.4],
+    sample_coeff: [1, 1, 1, 1],
+    model_output_coeff: [1, 1, 1, 1],
+  },
+  "lcm": {
+    num_steps: mockNumSteps,
+    timesteps: [999, 759, 519, 279],
+    alpha: [0.2, 0.4, 0.6, 0.8],
+    sigma: [0.9, 0.8, 0.6, 0.4],
+    c0: [1, 1, 1, 1],
+    c1: [1, 1, 1, 1],
+    c2: [0.8, 0.6, 0.4, 0],
+  },
+};
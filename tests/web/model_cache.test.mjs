@@ -0,0 +1,95 @@
+import test from "node:test";
+import assert from "node:assert";
+import { createHash } from "node:crypto";
+import { installMockBrowser } from "./mock_tvm.mjs";
+import { downloadModelToCache } from "../../web/stable_diffusion_core.js";
+
+const cacheUrl = "https://example.com/sd/";
+
+function sha256(text) {
+  return createHash("sha256").update(text).digest("hex");
+}
+
+/**
+ * Serve a model whose shards are given by name and content.
+ *
+ * @param shards Map from shard name to its content, or to a function that
+ * returns the response of each fetch.
+ * @param hashes Map from shard name to its sha256 in ndarray-cache.json.
+ * @returns The cache and the fetched URLs, see installMockBrowser.
+ */
+function installModel(shards, hashes = {}) {
+  const files = {
+    [cacheUrl + "ndarray-cache.json"]: JSON.stringify({
+      records: Object.keys(shards).map((name) => ({
+        dataPath: name, nbytes: 8, sha256: hashes[name]
+      }))
+    }),
+  };
+  for (const [name, content] of Object.entries(shards)) {
+    files[cacheUrl + name] = content;
+  }
+  return installMockBrowser(files);
+}
+
+test("retried shard downloads are logged", async () => {
+  let numFetches = 0;
+  installModel({
+    "params_shard_0.bin": () => new Response(++numFetches == 1 ? "corrupt" : "weights"),
+  }, { "params_shard_0.bin": sha256("weights") });
+  const logs = [];
+  await downloadModelToCache(cacheUrl, undefined, (message) => logs.push(message));
+  assert.strictEqual(numFetches, 2);
+  assert.strictEqual(logs.length, 1);
+  assert.match(logs[0], /^Fetch shard params_shard_0.bin again, sha256 mismatch/);
+});
+
+test("shards that fail their sha256 every time are not cached", async () => {
+  const { cache, fetched } = installModel(
+    { "params_shard_0.bin": "corrupt" }, { "params_shard_0.bin": sha256("weights") });
+  const logs = [];
+  await assert.rejects(
+    downloadModelToCache(cacheUrl, undefined, (message) => logs.push(message)),
+    /Cannot fetch shard params_shard_0.bin after 3 attempts, sha256 mismatch/);
+  assert.strictEqual(fetched.filter((url) => url.endsWith(".bin")).length, 3);
+  assert.strictEqual(logs.length, 2);
+  assert.strictEqual(await cache.match(cacheUrl + "params_shard_0.bin"), undefined);
+});
+
+test("an interrupted download resumes after the cached shards", async () => {
+  let failing = true;
+  const { cache, fetched } = installModel({
+    "params_shard_0.bin": "weights0",
+    "params_shard_1.bin": () => new Response(failing ? "" : "weights1", {
+      status: failing ? 500 : 200
+    }),
+  }, { "params_shard_0.bin": sha256("weights0"), "params_shard_1.bin": sha256("weights1") });
+  await assert.rejects(
+    downloadModelToCache(cacheUrl, undefined, () => {}), /HTTP status 500/);
+  assert.notStrictEqual(await cache.match(cacheUrl + "params_shard_0.bin"), undefined);
+
+  failing = false;
+  fetched.length = 0;
+  const reports = [];
+  await downloadModelToCache(cacheUrl, (report) => reports.push(report.text));
+  assert.deepStrictEqual(fetched, [cacheUrl + "params_shard_1.bin"]);
+  assert.match(reports[0], /^Fetching shard \[1\/2\], already cached/);
+  assert.match(reports[1], /^Fetching shard \[2\/2\]: /);
+});
+
+test("cached shards are verified once against their sha256", async () => {
+  const { cache, fetched } = installModel(
+    { "params_shard_0.bin": "weights" }, { "params_shard_0.bin": sha256("weights") });
+  // stored by the runtime, without the verified header
+  await cache.put(cacheUrl + "params_shard_0.bin", new Response("weights"));
+  await downloadModelToCache(cacheUrl);
+  const response = await cache.match(cacheUrl + "params_shard_0.bin");
+  assert.strictEqual(response.headers.get("x-shard-sha256"), sha256("weights"));
+  // a corrupted cached shard is fetched again
+  await cache.put(cacheUrl + "params_shard_0.bin", new Response("corrupt"));
+  await downloadModelToCache(cacheUrl);
+  assert.deepStrictEqual(fetched.filter((url) => url.endsWith(".bin")), [
+    cacheUrl + "params_shard_0.bin"
+  ]);
+  assert.strictEqual(await (await cache.match(cacheUrl + "params_shard_0.bin")).text(), "weights");
+});
@@ -0,0 +1,324 @@
+import test from "node:test";
+import assert from "node:assert";
+import {
+  MockNDArray, createMockTVM, mockTokenizer, mockSchedulerConsts as schedulerConsts, mockNumSteps as numSteps
+} from "./mock_tvm.mjs";
+import {
+  StableDiffusionPipeline, DiffusionXLPipeline, GenerationCancelledError,
+  InvalidGenerateOptionsError, SeededRandom, createScheduler, computeSchedulerConsts
+} from "../../web/stable_diffusion_core.js";
+
+function createSDPipeline(functions = {}) {
+  const tvm = createMockTVM({ image_to_rgba: [64, 64] }, functions);
+  const pipeline = tvm.withNewScope(() => new StableDiffusionPipeline(
+    tvm, mockTokenizer, schedulerConsts, { imageSizes: [[64, 64]] }));
+  return [pipeline, tvm];
+}
+
+function createXLPipeline() {
+  const tvm = createMockTVM({
+    clip: [[1, 77, 768]],
+    clip2: [[1, 77, 1280], [1, 1280]],
+    concat_enocder_outputs: [1, 77, 2048],
+    image_to_rgba: [64, 64],
+  });
+  const pipeline = tvm.withNewScope(() => new DiffusionXLPipeline(
+    tvm, mockTokenizer, mockTokenizer, schedulerConsts, { imageSizes: [[64, 64]] }));
+  return [pipeline, tvm];
+}
+
+function generate(pipeline, schedulerName, progressCallback, options = {}) {
+  return pipeline.generate(
+    "a photo of a cat", "", progressCallback, schedulerName, -1, 10,
+    { seed: 1, width: 64, height: 64, ...options });
+}
+
+test("generate closes every scope it opens", async () => {
+  for (const schedulerName of ["multistep-dpm-solver", "pndm"]) {
+    const [pipeline, tvm] = createSDPipeline();
+    const result = await generate(pipeline, schedulerName);
+    assert.strictEqual(tvm.scopes.length, 0);
+    assert.strictEqual(result.rgba.length, 64 * 64 * 4);
+  }
+});
+
+test("the result reports the scheduler steps without the warm-up steps", async () => {
+  for (const schedulerName of ["multistep-dpm-solver", "pndm"]) {
+    const [pipeline, tvm] = createSDPipeline();
+    const result = await generate(pipeline, schedulerName);
+    assert.strictEqual(result.steps, numSteps);
+    assert.strictEqual(
+      tvm.calls.filter((call) => call.name == "unet").length,
+      schedulerConsts[schedulerName].num_steps);
+    assert.strictEqual((await generate(pipeline, schedulerName, undefined, { numSteps: 3 })).steps, 3);
+  }
+});
+
+test("generate reports the progress of every stage", async () => {
+  const [pipeline] = createSDPipeline();
+  const reports = [];
+  await generate(pipeline, "multistep-dpm-solver", (...args) => reports.push(args));
+  const totalNumSteps = numSteps + 2;
+  assert.deepStrictEqual(reports, [
+    ["clip", 0, 1, totalNumSteps],
+    ["unet", 0, numSteps, totalNumSteps],
+    ["unet", 1, numSteps, totalNumSteps],
+    ["unet", 2, numSteps, totalNumSteps],
+    ["unet", 3, numSteps, totalNumSteps],
+    ["vae", 0, 1, totalNumSteps],
+    ["vae", 1, 1, totalNumSteps],
+  ]);
+});
+
+test("generate runs the unet once per step", async () => {
+  const [pipeline, tvm] = createXLPipeline();
+  await generate(pipeline, "euler-discrete");
+  assert.strictEqual(tvm.calls.filter((call) => call.name == "unet").length, numSteps);
+  assert.strictEqual(tvm.calls.filter((call) => call.name == "vae").length, 1);
+});
+
+test("generate disposes the states of the steps", async () => {
+  const [pipeline, tvm] = createXLPipeline();
+  const pipelineObjects = new Set(tvm.live);
+  await generate(pipeline, "euler-discrete");
+  const leaked = [...tvm.live].filter((obj) => !pipelineObjects.has(obj));
+  assert.deepStrictEqual(leaked, []);
+});
+
+test("cancelled generate disposes the states of the steps", async () => {
+  const [pipeline, tvm] = createXLPipeline();
+  const pipelineObjects = new Set(tvm.live);
+  const controller = new AbortController();
+  const progressCallback = (stage, counter) => {
+    if (stage == "unet" && counter == 1) controller.abort();
+  };
+  await assert.rejects(
+    generate(pipeline, "euler-discrete", progressCallback, { signal: controller.signal }),
+    GenerationCancelledError);
+  assert.strictEqual(tvm.scopes.length, 0);
+  assert.strictEqual(tvm.calls.filter((call) => call.name == "unet").length, 2);
+  const leaked = [...tvm.live].filter((obj) => !pipelineObjects.has(obj));
+  assert.deepStrictEqual(leaked, []);
+});
+
+test("the noise of the steps follows the seed", async () => {
+  // keep the step noise only, to compare it across generations
+  const functions = {
+    euler_ancestral_scheduler_step: (sample, modelOutput, noise) => noise,
+    lcm_scheduler_step: (sample, modelOutput, noise) => noise,
+  };
+  for (const schedulerName of ["euler-ancestral", "lcm"]) {
+    const generateLatents = async (seed) => {
+      const [pipeline] = createSDPipeline(functions);
+      const result = await generate(
+        pipeline, schedulerName, undefined, { seed: seed, denoisingEnd: 0.5 });
+      return result.latents;
+    };
+    const latents = await generateLatents(3);
+    assert.deepStrictEqual(await generateLatents(3), latents);
+    assert.notDeepStrictEqual(await generateLatents(4), latents);
+    // the initial noise is drawn first, then the noise of each step
+    const rng = new SeededRandom(3);
+    rng.gaussian([1, 4, 8, 8]);
+    rng.gaussian([1, 4, 8, 8]);
+    assert.deepStrictEqual(latents, rng.gaussian([1, 4, 8, 8]));
+  }
+});
+
+test("euler ancestral scales the initial noise and the UNet input", async () => {
+  const [pipeline, tvm] = createSDPipeline({
+    // fill the output with the scale
+    euler_ancestral_scheduler_scale: (sample, inputScale) => sample.map(() => inputScale),
+  });
+  await generate(pipeline, "euler-ancestral");
+  const consts = schedulerConsts["euler-ancestral"];
+  const scaleCalls = tvm.calls.filter((call) => call.name == "euler_ancestral_scheduler_scale");
+  assert.deepStrictEqual(
+    scaleCalls[0].args[0].data,
+    new SeededRandom(1).gaussian([1, 4, 8, 8], consts.init_noise_sigma));
+  const unetInputs = tvm.calls.filter((call) => call.name == "unet").map((call) => call.args[0]);
+  assert.deepStrictEqual(
+    unetInputs.map((input) => input.data[0]),
+    consts.input_scale.map((value) => Math.fround(value)));
+});
+
+test("schedulers with noise in their steps require the seeded random generator", () => {
+  const tvm = createMockTVM();
+  tvm.withNewScope(() => {
+    const vm = tvm.createVirtualMachine();
+    assert.throws(
+      () => createScheduler(
+        "euler-ancestral", "Stable-Diffusion-1.5", schedulerConsts, [1, 4, 8, 8],
+        tvm, tvm.webgpu(), vm),
+      /requires a seeded random generator/);
+  });
+});
+
+test("early denoising end returns the latents without running the vae", async () => {
+  const [pipeline, tvm] = createXLPipeline();
+  const result = await generate(pipeline, "euler-discrete", undefined, { denoisingEnd: 0.5 });
+  assert.strictEqual(result.rgba, undefined);
+  assert.strictEqual(result.latents.length, 4 * 8 * 8);
+  assert.strictEqual(result.endStep, numSteps / 2);
+  assert.strictEqual(tvm.calls.filter((call) => call.name == "unet").length, numSteps / 2);
+  assert.strictEqual(tvm.calls.filter((call) => call.name == "vae").length, 0);
+});
+
+test("image-to-image starts from the noised init latents at the step of strength", async () => {
+  const tvm = createMockTVM({ image_to_rgba: [64, 64] });
+  const pipeline = tvm.withNewScope(() => new StableDiffusionPipeline(
+    tvm, mockTokenizer, schedulerConsts, { imageSizes: [[64, 64]], encoderParamSize: 1 }));
+  // the VAE encoder gives constant latents
+  pipeline.imageToLatents = () => new MockNDArray(tvm, [1, 4, 8, 8], "float32").copyFrom(
+    new Float32Array(4 * 8 * 8).fill(0.5));
+  const initImage = { width: 64, height: 64, data: new Uint8ClampedArray(64 * 64 * 4) };
+  await generate(pipeline, "multistep-dpm-solver", undefined,
+    { initImage: initImage, strength: 0.5, numSteps: 10 });
+  const unetCalls = tvm.calls.filter((call) => call.name == "unet");
+  // strength 0.5 skips the first 5 of the 10 steps
+  assert.strictEqual(unetCalls.length, 5);
+  const consts = computeSchedulerConsts("multistep-dpm-solver", 10);
+  const [unetInput, timestep] = unetCalls[0].args;
+  assert.strictEqual(timestep.data[0], consts.timesteps[5]);
+  const noise = new SeededRandom(1).gaussian([1, 4, 8, 8]);
+  assert.deepStrictEqual(
+    unetInput.data, Float32Array.from(noise, (n) => consts.alpha[5] * 0.5 + consts.sigma[5] * n));
+});
+
+test("invalid inputs are rejected before anything is allocated", async () => {
+  // a model library built without the DDIM step
+  const tvm = createMockTVM({ image_to_rgba: [64, 64] }, {}, ["ddim_scheduler_step"]);
+  const pipeline = tvm.withNewScope(() => new StableDiffusionPipeline(
+    tvm, mockTokenizer, schedulerConsts, { imageSizes: [[64, 64]], encoderParamSize: 1 }));
+  const [xlPipeline, xlTVM] = createXLPipeline();
+  const image = (width, height) => ({
+    width: width, height: height, data: new Uint8ClampedArray(width * height * 4)
+  });
+  for (const [target, schedulerName, options, error] of [
+    [[pipeline, tvm], undefined, { initImage: image(32, 64) }, /Expect init image of size 64x64/],
+    [[pipeline, tvm], undefined, { initImage: image(64, 64), mask: image(64, 32) },
+      /Expect mask of size 64x64/],
+    [[pipeline, tvm], "euler-discrete", {}, /unsupported scheduler name/],
+    [[pipeline, tvm], "ddim", {}, /requires VM functions .*: ddim_scheduler_step/],
+    [[pipeline, tvm], undefined,
+      { initLatents: new Float32Array(4 * 8 * 8), denoisingStart: 0.5, initLatentsStep: numSteps },
+      /Expect initLatentsStep to be an integer in \[0, 4\)/],
+    [[xlPipeline, xlTVM], undefined, { originalSize: [-1, 5] }, /non-negative integers/],
+    [[xlPipeline, xlTVM], undefined, { negativeCropCoords: [0] }, /non-negative integers/],
+  ]) {
+    const [targetPipeline, targetTVM] = target;
+    const pipelineObjects = new Set(targetTVM.live);
+    await assert.rejects(generate(targetPipeline, schedulerName, undefined, options), (err) => {
+      assert.ok(err instanceof InvalidGenerateOptionsError);
+      assert.match(err.message, error);
+      return true;
+    });
+    assert.strictEqual(targetTVM.scopes.length, 0);
+    assert.deepStrictEqual([...targetTVM.live].filter((obj) => !pipelineObjects.has(obj)), []);
+  }
+});
+
+test("only the schedulers in the model library are supported", () => {
+  const tvm = createMockTVM({ image_to_rgba: [64, 64] }, {}, ["ddim_scheduler_step"]);
+  const pipeline = tvm.withNewScope(() => new StableDiffusionPipeline(
+    tvm, mockTokenizer, schedulerConsts, { imageSizes: [[64, 64]] }));
+  assert.deepStrictEqual(
+    pipeline.getSupportedSchedulers().map((entry) => entry.name),
+    ["multistep-dpm-solver", "pndm", "euler-ancestral", "lcm"]);
+  assert.strictEqual(tvm.scopes.length, 0);
+});
+
+test("inpainting blends the known latents after every step", async () => {
+  const tvm = createMockTVM({ image_to_rgba: [64, 64] });
+  const pipeline = tvm.withNewScope(() => new StableDiffusionPipeline(
+    tvm, mockTokenizer, schedulerConsts, { imageSizes: [[64, 64]], encoderParamSize: 1 }));
+  pipeline.imageToLatents = () => new MockNDArray(tvm, [1, 4, 8, 8], "float32").copyFrom(
+    new Float32Array(4 * 8 * 8).fill(0.5));
+  const initImage = { width: 64, height: 64, data: new Uint8ClampedArray(64 * 64 * 4) };
+  // regenerate the left 36 columns, the fifth latent column is half covered
+  const mask = { width: 64, height: 64, data: new Uint8ClampedArray(64 * 64 * 4) };
+  for (let y = 0; y < 64; ++y) {
+    for (let x = 0; x < 36; ++x) {
+      mask.data[(y * 64 + x) * 4 + 3] = 255;
+    }
+  }
+  await generate(pipeline, "multistep-dpm-solver", undefined,
+    { initImage: initImage, mask: mask, strength: 0.5, numSteps: 10 });
+  const consts = computeSchedulerConsts("multistep-dpm-solver", 10);
+  const noise = new SeededRandom(1).gaussian([1, 4, 8, 8]);
+  // each scheduler step is followed by the blend
+  const stepName = "dpm_solver_multistep_scheduler_step";
+  assert.deepStrictEqual(
+    tvm.calls.filter((call) => call.name == stepName || call.name == "masked_blend")
+      .map((call) => call.name),
+    Array(5).fill([stepName, "masked_blend"]).flat());
+  const blendCalls = tvm.calls.filter((call) => call.name == "masked_blend");
+  const expectedMask = new Float32Array(8 * 8);
+  for (let y = 0; y < 8; ++y) {
+    expectedMask.set([1, 1, 1, 1, 0.5], y * 8);
+  }
+  for (let i = 0; i < blendCalls.length; ++i) {
+    const [, knownLatents, latentMask] = blendCalls[i].args;
+    // the known latents are noised to the timestep after the step, clean after the last one
+    const counter = 5 + i + 1;
+    const [sampleCoeff, noiseCoeff] = counter < 10 ?
+      [consts.alpha[counter], consts.sigma[counter]] : [1, 0];
+    assert.deepStrictEqual(
+      knownLatents.data, Float32Array.from(noise, (n) => sampleCoeff * 0.5 + noiseCoeff * n));
+    assert.deepStrictEqual(latentMask.shape, [1, 1, 8, 8]);
+    assert.deepStrictEqual(latentMask.data, expectedMask);
+  }
+});
+
+test("inpainting is disabled without masked_blend", async () => {
+  const tvm = createMockTVM({ image_to_rgba: [64, 64] }, {}, ["masked_blend"]);
+  const pipeline = tvm.withNewScope(() => new StableDiffusionPipeline(
+    tvm, mockTokenizer, schedulerConsts, { imageSizes: [[64, 64]], encoderParamSize: 1 }));
+  assert.strictEqual(pipeline.maskedBlend, undefined);
+  const image = { width: 64, height: 64, data: new Uint8ClampedArray(64 * 64 * 4) };
+  await assert.rejects(
+    generate(pipeline, undefined, undefined, { initImage: image, mask: image }),
+    /does not support inpainting/);
+  const result = await generate(pipeline, undefined, undefined, { initImage: image });
+  assert.strictEqual(result.rgba.length, 64 * 64 * 4);
+  pipeline.dispose();
+  assert.strictEqual(tvm.live.size, 0);
+});
+
+test("the guidance scale input of the unet follows the metadata", async () => {
+  for (const unetGuidanceScaleInput of [true, false, undefined]) {
+    const tvm = createMockTVM({ image_to_rgba: [64, 64] });
+    const pipeline = tvm.withNewScope(() => new StableDiffusionPipeline(
+      tvm, mockTokenizer, schedulerConsts,
+      { imageSizes: [[64, 64]], unetGuidanceScaleInput: unetGuidanceScaleInput }));
+    assert.strictEqual(pipeline.unetGuidanceScaleInput, unetGuidanceScaleInput === true);
+    if (pipeline.unetGuidanceScaleInput) {
+      await generate(pipeline, undefined, undefined, { guidanceScale: 3 });
+      const unetArgs = tvm.calls.find((call) => call.name == "unet").args;
+      // the guidance scale comes right before the params
+      assert.strictEqual(unetArgs[unetArgs.length - 2].data[0], 3);
+    } else {
+      await assert.rejects(
+        generate(pipeline, undefined, undefined, { guidanceScale: 3 }), /baked into/);
+    }
+  }
+});
+
+test("ignored prompt weights are reported in the warnings", async () => {
+  const tvm = createMockTVM({ image_to_rgba: [64, 64] }, {}, ["weight_embeddings"]);
+  const pipeline = tvm.withNewScope(() => new StableDiffusionPipeline(
+    tvm, mockTokenizer, schedulerConsts, { imageSizes: [[64, 64]] }));
+  assert.strictEqual(pipeline.weightEmbeddings, undefined);
+  const result = await pipeline.generate(
+    "a (photo:1.5) of a cat", "", undefined, undefined, -1, 10, { seed: 1, width: 64, height: 64 });
+  assert.deepStrictEqual(
+    result.warnings, ["The model library does not support prompt weights, weights ignored"]);
+});
+
+test("dispose releases the objects of the pipeline", () => {
+  for (const [pipeline, tvm] of [createSDPipeline(), createXLPipeline()]) {
+    assert.notStrictEqual(tvm.live.size, 0);
+    pipeline.dispose();
+    assert.strictEqual(tvm.live.size, 0);
+  }
+});
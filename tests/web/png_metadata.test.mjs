@@ -0,0 +1,105 @@
+import test from "node:test";
+import assert from "node:assert";
+import { crc32, deflateSync } from "node:zlib";
+import {
+  addPNGTextChunks, readPNGTextChunks, formatGenerationParameters, parseGenerationParameters
+} from "../../web/stable_diffusion_core.js";
+
+// a 1x1 RGBA PNG
+const png = new Uint8Array(Buffer.from(
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==",
+  "base64"));
+// signature, IHDR length, type, 13 bytes of data and CRC
+const ihdrEnd = 8 + 12 + 13;
+
+/**
+ * @param bytes The PNG file bytes.
+ * @returns The chunks of the file, with their type, data and CRC.
+ */
+function readChunks(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  for (let offset = 8; offset < bytes.length;) {
+    const length = view.getUint32(offset);
+    chunks.push({
+      type: Buffer.from(bytes.subarray(offset + 4, offset + 8)).toString("latin1"),
+      data: bytes.subarray(offset + 8, offset + 8 + length),
+      crc: view.getUint32(offset + 8 + length),
+      expectedCRC: crc32(bytes.subarray(offset + 4, offset + 8 + length)),
+    });
+    offset += 12 + length;
+  }
+  return chunks;
+}
+
+/**
+ * @param type The chunk type.
+ * @param data The chunk data.
+ * @returns The chunk bytes, including length and CRC.
+ */
+function encodeChunk(type, data) {
+  const chunk = Buffer.alloc(12 + data.length);
+  chunk.writeUInt32BE(data.length, 0);
+  chunk.write(type, 4, "latin1");
+  Buffer.from(data).copy(chunk, 8);
+  chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+  return chunk;
+}
+
+test("text chunks round-trip through a PNG file", async () => {
+  const entries = { parameters: "a photo of a cat\nSteps: 20", comment: "café 🐱" };
+  const output = addPNGTextChunks(png, entries);
+  const chunks = readChunks(output);
+  assert.deepStrictEqual(
+    chunks.map((chunk) => chunk.type), ["IHDR", "tEXt", "iTXt", "IDAT", "IEND"]);
+  for (const chunk of chunks) {
+    assert.strictEqual(chunk.crc, chunk.expectedCRC);
+  }
+  // the image chunks are unchanged
+  const imageLength = png.length - ihdrEnd;
+  assert.deepStrictEqual(output.subarray(output.length - imageLength), png.subarray(ihdrEnd));
+  assert.deepStrictEqual(await readPNGTextChunks(output), entries);
+});
+
+test("compressed iTXt chunks are read", async () => {
+  const text = Buffer.from("a photo of a 🐱");
+  const data = Buffer.concat([
+    Buffer.from("parameters\0\x01\0en\0\0", "latin1"), deflateSync(text)
+  ]);
+  const output = new Uint8Array(Buffer.concat([
+    png.subarray(0, ihdrEnd), encodeChunk("iTXt", data), png.subarray(ihdrEnd)
+  ]));
+  assert.deepStrictEqual(await readPNGTextChunks(output), { parameters: "a photo of a 🐱" });
+});
+
+test("files that are not PNG are rejected", async () => {
+  const jpeg = new Uint8Array([0xFF, 0xD8, 0xFF, 0xE0, 0, 0, 0, 0]);
+  assert.throws(() => addPNGTextChunks(jpeg, { parameters: "" }), /Not a PNG file/);
+  await assert.rejects(readPNGTextChunks(jpeg), /Not a PNG file/);
+});
+
+test("generation parameters round-trip through their text", async () => {
+  const image = {
+    prompt: "a photo of a cat,\nsitting", negPrompt: "blurry, low quality", steps: 20,
+    scheduler: "multistep-dpm-solver", seed: 42, width: 768, height: 512,
+    model: "Stable-Diffusion-1.5",
+  };
+  const text = formatGenerationParameters(image);
+  assert.deepStrictEqual(parseGenerationParameters(text), image);
+  const output = addPNGTextChunks(png, { parameters: text });
+  const entries = await readPNGTextChunks(output);
+  assert.deepStrictEqual(parseGenerationParameters(entries.parameters), image);
+});
+
+test("generation parameters of other tools keep the known fields", () => {
+  assert.deepStrictEqual(
+    parseGenerationParameters(
+      "a cat\nNegative prompt: dog\nSteps: 30, Sampler: Euler a, CFG scale: 7, " +
+      "Seed: 7, Size: 512x640, Model hash: abc"),
+    { prompt: "a cat", negPrompt: "dog", steps: 30, scheduler: "Euler a", seed: 7,
+      width: 512, height: 640 });
+  assert.deepStrictEqual(parseGenerationParameters("a cat\nSteps: 20"), { prompt: "a cat", steps: 20 });
+  // without the settings line, every line is the prompt
+  assert.deepStrictEqual(
+    parseGenerationParameters("a cat\non a mat"), { prompt: "a cat\non a mat" });
+});
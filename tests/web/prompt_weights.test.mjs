@@ -0,0 +1,48 @@
+import test from "node:test";
+import assert from "node:assert";
+import { parsePromptWeights, tokenizeWeightedPrompt } from "../../web/stable_diffusion_core.js";
+import { mockTokenizer } from "./mock_tvm.mjs";
+
+test("nested brackets multiply their weights", () => {
+  assert.deepStrictEqual(parsePromptWeights("((a))"), [{ text: "a", weight: 1.1 * 1.1 }]);
+  assert.deepStrictEqual(parsePromptWeights("a (b (c) d) e"), [
+    { text: "a ", weight: 1 },
+    { text: "b ", weight: 1.1 },
+    { text: "c", weight: 1.1 * 1.1 },
+    { text: " d", weight: 1.1 },
+    { text: " e", weight: 1 },
+  ]);
+  assert.deepStrictEqual(parsePromptWeights("[a]"), [{ text: "a", weight: 1 / 1.1 }]);
+  assert.deepStrictEqual(parsePromptWeights("((a:0.5))"), [{ text: "a", weight: 0.5 * 1.1 }]);
+  assert.deepStrictEqual(
+    parsePromptWeights("(a:1.5) b"), [{ text: "a", weight: 1.5 }, { text: " b", weight: 1 }]);
+});
+
+test("empty brackets and empty prompts give an empty segment", () => {
+  for (const prompt of ["", "[]", "()"]) {
+    assert.deepStrictEqual(parsePromptWeights(prompt), [{ text: "", weight: 1 }]);
+  }
+  assert.deepStrictEqual(parsePromptWeights("a [] b"), [{ text: "a  b", weight: 1 }]);
+});
+
+test("unbalanced brackets", () => {
+  // an unclosed bracket applies to the rest of the prompt
+  assert.deepStrictEqual(
+    parsePromptWeights("a (b"), [{ text: "a ", weight: 1 }, { text: "b", weight: 1.1 }]);
+  assert.deepStrictEqual(
+    parsePromptWeights("a [b"), [{ text: "a ", weight: 1 }, { text: "b", weight: 1 / 1.1 }]);
+  // an unopened bracket is plain text
+  assert.deepStrictEqual(parsePromptWeights("a ) b"), [{ text: "a ) b", weight: 1 }]);
+});
+
+test("escaped brackets and invalid weights are plain text", () => {
+  assert.deepStrictEqual(parsePromptWeights("\\(a\\)"), [{ text: "(a)", weight: 1 }]);
+  assert.deepStrictEqual(parsePromptWeights("(a:x)"), [{ text: "a:x", weight: 1.1 }]);
+  assert.deepStrictEqual(parsePromptWeights("a:b"), [{ text: "a:b", weight: 1 }]);
+});
+
+test("every token gets the weight of its segment", () => {
+  assert.deepStrictEqual(tokenizeWeightedPrompt("ab (c:2)", mockTokenizer), {
+    tokens: [97, 98, 99], weights: [1, 1, 2]
+  });
+});
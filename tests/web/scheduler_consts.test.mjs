@@ -0,0 +1,115 @@
+import test from "node:test";
+import assert from "node:assert";
+import {
+  createMockTVM, mockTokenizer, mockSchedulerConsts
+} from "./mock_tvm.mjs";
+import {
+  StableDiffusionPipeline, computeSchedulerConsts, getSchedulersForModel
+} from "../../web/stable_diffusion_core.js";
+
+function assertClose(actual, expected, tolerance = 1e-4) {
+  assert.ok(Math.abs(actual - expected) < tolerance, actual + " != " + expected);
+}
+
+test("dpm solver timesteps follow the diffusers schedule", () => {
+  const consts = computeSchedulerConsts("multistep-dpm-solver");
+  assert.strictEqual(consts.num_steps, 20);
+  assert.deepStrictEqual(consts.timesteps, [
+    999, 949, 899, 849, 799, 749, 699, 649, 599, 549,
+    500, 450, 400, 350, 300, 250, 200, 150, 100, 50
+  ]);
+  // the first step runs in first order
+  assert.strictEqual(consts.c2[0], 0);
+  for (let i = 0; i < consts.num_steps - 1; ++i) {
+    assertClose(consts.c0[i], consts.sigma[i + 1] / consts.sigma[i], 1e-12);
+  }
+});
+
+test("pndm repeats the second timestep to warm up", () => {
+  const consts = computeSchedulerConsts("pndm");
+  assert.strictEqual(consts.num_steps, 51);
+  assert.deepStrictEqual(consts.timesteps.slice(0, 4), [981, 961, 961, 941]);
+  assert.strictEqual(consts.timesteps[50], 1);
+  for (const key of ["sample_coeff", "alpha_diff", "model_output_denom_coeff"]) {
+    assert.strictEqual(consts[key].length, 51);
+  }
+  assert.deepStrictEqual(computeSchedulerConsts("pndm", 1).timesteps, [1]);
+});
+
+test("euler discrete matches the constants of the SDXL model", () => {
+  const consts = computeSchedulerConsts("euler-discrete");
+  assert.strictEqual(consts.num_steps, 50);
+  assert.strictEqual(consts.timesteps[0], 981);
+  assert.strictEqual(consts.sigma.length, 51);
+  assert.strictEqual(consts.sigma[50], 0);
+  // the init noise sigma the SDXL pipelines used to hard code
+  assertClose(Math.sqrt(consts.sigma[0] ** 2 + 1), 13.1585);
+});
+
+test("euler ancestral splits the step into deterministic and noise parts", () => {
+  const consts = computeSchedulerConsts("euler-ancestral", 12);
+  assert.strictEqual(consts.num_steps, 12);
+  for (let i = 0; i < consts.num_steps; ++i) {
+    assertClose(consts.sigma_down[i] ** 2 + consts.sigma_up[i] ** 2, consts.sigma[i + 1] ** 2);
+  }
+  assert.strictEqual(consts.sigma_up[11], 0);
+  assertClose(consts.init_noise_sigma, Math.sqrt(consts.sigma[0] ** 2 + 1), 1e-12);
+});
+
+test("ddim steps to the clean sample at the final timestep", () => {
+  const consts = computeSchedulerConsts("ddim", 10);
+  assert.deepStrictEqual(consts.timesteps, [901, 801, 701, 601, 501, 401, 301, 201, 101, 1]);
+  // a noisy sample of a clean sample x with the predicted noise steps back to x
+  for (let i = 0; i < consts.num_steps - 1; ++i) {
+    const [x, eps] = [0.3, -1.2];
+    const sample = consts.alpha[i] * x + consts.sigma[i] * eps;
+    const prev = consts.sample_coeff[i] * sample + consts.model_output_coeff[i] * eps;
+    assertClose(prev, consts.alpha[i + 1] * x + consts.sigma[i + 1] * eps);
+  }
+});
+
+test("lcm skips over the distillation timesteps", () => {
+  const consts = computeSchedulerConsts("lcm");
+  assert.deepStrictEqual(consts.timesteps, [999, 759, 519, 279]);
+  // the last step returns the denoised sample without noise
+  assert.strictEqual(consts.c2[3], 0);
+  assert.ok(consts.c2.slice(0, 3).every((value) => value > 0));
+  assert.throws(() => computeSchedulerConsts("lcm", 51), /at most 50 steps/);
+});
+
+test("every registered scheduler computes constants for any step count", () => {
+  const models = ["Stable-Diffusion-1.5", "Stable-Diffusion-XL", "Stable-Diffusion-XL-Refiner"];
+  for (const model of models) {
+    for (const entry of getSchedulersForModel(model)) {
+      for (const numSteps of [1, 7, entry.defaultNumSteps]) {
+        const consts = computeSchedulerConsts(entry.name, numSteps);
+        assert.strictEqual(consts.timesteps.length, consts.num_steps);
+        for (const [key, value] of Object.entries(consts)) {
+          const values = Array.isArray(value) ? value : [value];
+          assert.ok(values.every(Number.isFinite), entry.name + " " + key);
+        }
+      }
+    }
+  }
+});
+
+test("rejects invalid step counts and unknown schedulers", () => {
+  assert.throws(() => computeSchedulerConsts("ddim", 0), /positive integer/);
+  assert.throws(() => computeSchedulerConsts("ddim", 2.5), /positive integer/);
+  assert.throws(() => computeSchedulerConsts("unknown", 10), /Unknown scheduler unknown/);
+});
+
+test("generate computes the constants of the requested step count", async () => {
+  const tvm = createMockTVM({ image_to_rgba: [64, 64] });
+  const pipeline = tvm.withNewScope(() => new StableDiffusionPipeline(
+    tvm, mockTokenizer, mockSchedulerConsts, { imageSizes: [[64, 64]] }));
+  const result = await pipeline.generate(
+    "a photo of a cat", "", undefined, "multistep-dpm-solver", -1, 10,
+    { seed: 1, width: 64, height: 64, numSteps: 7 });
+  assert.strictEqual(result.steps, 7);
+  const unetCalls = tvm.calls.filter((call) => call.name == "unet");
+  assert.deepStrictEqual(
+    unetCalls.map((call) => call.args[1].data[0]),
+    computeSchedulerConsts("multistep-dpm-solver", 7).timesteps);
+  assert.strictEqual(tvm.scopes.length, 0);
+});
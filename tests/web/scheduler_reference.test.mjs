@@ -0,0 +1,225 @@
+import test from "node:test";
+import assert from "node:assert";
+import { createMockTVM } from "./mock_tvm.mjs";
+import {
+  PNDMReferenceScheduler, DPMSolverMultistepReferenceScheduler,
+  EulerDiscreteReferenceScheduler, compareSchedulerWithReference
+} from "../../web/scheduler_reference.js";
+
+const latentShape = [1, 4, 8, 8];
+
+const schedulerConsts = {
+  "pndm": {
+    num_steps: 6,
+    timesteps: [900, 900, 700, 500, 300, 100],
+    sample_coeff: [1.05, 1.04, 1.08, 1.12, 1.2, 1.4],
+    alpha_diff: [0.02, 0.03, 0.05, 0.08, 0.12, 0.2],
+    model_output_denom_coeff: [0.3, 0.35, 0.4, 0.5, 0.6, 0.8],
+  },
+  "multistep-dpm-solver": {
+    num_steps: 4,
+    timesteps: [750, 500, 250, 0],
+    alpha: [0.2, 0.4, 0.6, 0.8],
+    sigma: [0.9, 0.8, 0.6, 0.4],
+    c0: [1.5, 1.3, 1.2, 1.1],
+    c1: [-0.4, -0.3, -0.2, -0.1],
+    c2: [0.05, 0.1, 0.15, 0.2],
+  },
+  "euler-discrete": {
+    num_steps: 4,
+    timesteps: [750, 500, 250, 0],
+    sigma: [14.6, 4.1, 1.2, 0.3, 0],
+  },
+  "euler-ancestral": {
+    num_steps: 4,
+    timesteps: [750, 500, 250, 0],
+    sigma: [14.6, 4.1, 1.2, 0.3, 0],
+    sigma_down: [3.9, 1.1, 0.28, 0],
+    sigma_up: [1.2, 0.4, 0.1, 0],
+    input_scale: [0.07, 0.24, 0.64, 0.96],
+    init_noise_sigma: 14.63,
+  },
+  "ddim": {
+    num_steps: 4,
+    timesteps: [750, 500, 250, 0],
+    alpha: [0.2, 0.4, 0.6, 0.8],
+    sigma: [0.9, 0.8, 0.6, 0.4],
+    sample_coeff: [1.9, 1.4, 1.3, 1.2],
+    model_output_coeff: [-0.6, -0.4, -0.3, -0.2],
+  },
+  "lcm": {
+    num_steps: 4,
+    timesteps: [999, 759, 519, 279],
+    alpha: [0.2, 0.4, 0.6, 0.8],
+    sigma: [0.9, 0.8, 0.6, 0.4],
+    c0: [0.5, 0.6, 0.7, 1.2],
+    c1: [-0.4, -0.3, -0.2, -0.1],
+    c2: [0.8, 0.6, 0.4, 0],
+  },
+};
+
+function elementwise(length, f) {
+  return Float32Array.from({ length: length }, (_, i) => f(i));
+}
+
+// the compiled functions, following web_stable_diffusion/trace/scheduler_trace.py
+function pndmStep(f_output) {
+  return (sample, modelOutput, sampleCoeff, alphaDiff, denomCoeff, e0, e1, e2, e3) => {
+    return elementwise(sample.length, (i) => {
+      const output = f_output(modelOutput[i], e0[i], e1[i], e2[i], e3[i]);
+      return sample[i] * sampleCoeff - alphaDiff * output / denomCoeff;
+    });
+  };
+}
+
+const compiledFunctions = {
+  pndm_scheduler_step_0: pndmStep((mo) => mo),
+  pndm_scheduler_step_1: pndmStep((mo, e0, e1, e2, e3) => (mo + e3) / 2),
+  pndm_scheduler_step_2: pndmStep((mo, e0, e1, e2, e3) => (3 * e3 - e2) / 2),
+  pndm_scheduler_step_3: pndmStep((mo, e0, e1, e2, e3) => (23 * e3 - 16 * e2 + 5 * e1) / 12),
+  pndm_scheduler_step_4: pndmStep((mo, e0, e1, e2, e3) => {
+    return (1 / 24) * (55 * e3 - 59 * e2 + 37 * e1 - 9 * e0);
+  }),
+  dpm_solver_multistep_scheduler_convert_model_output: (sample, modelOutput, alpha, sigma) => {
+    return elementwise(sample.length, (i) => (sample[i] - sigma * modelOutput[i]) / alpha);
+  },
+  dpm_solver_multistep_scheduler_step: (sample, modelOutput, lastModelOutput, c0, c1, c2) => {
+    return elementwise(sample.length, (i) => {
+      return c0 * sample[i] - c1 * modelOutput[i] - c2 * (modelOutput[i] - lastModelOutput[i]);
+    });
+  },
+  euler_discrete_scheduler_scale: (sample, sigma) => {
+    return elementwise(sample.length, (i) => sample[i] / Math.sqrt(sigma ** 2 + 1));
+  },
+  euler_discrete_scheduler_step: (sample, modelOutput, sigma, sigmaNext) => {
+    return elementwise(sample.length, (i) => {
+      const predOriginalSample = sample[i] - sigma * modelOutput[i];
+      const derivative = (sample[i] - predOriginalSample) / sigma;
+      return sample[i] + derivative * (sigmaNext - sigma);
+    });
+  },
+  euler_ancestral_scheduler_scale: (sample, inputScale) => {
+    return elementwise(sample.length, (i) => sample[i] * inputScale);
+  },
+  euler_ancestral_scheduler_step: (sample, modelOutput, noise, sigma, sigmaDown, sigmaUp) => {
+    return elementwise(sample.length, (i) => {
+      return sample[i] + (sigmaDown - sigma) * modelOutput[i] + sigmaUp * noise[i];
+    });
+  },
+  ddim_scheduler_step: (sample, modelOutput, sampleCoeff, modelOutputCoeff) => {
+    return elementwise(sample.length, (i) => {
+      return sampleCoeff * sample[i] + modelOutputCoeff * modelOutput[i];
+    });
+  },
+  lcm_scheduler_step: (sample, modelOutput, noise, c0, c1, c2) => {
+    return elementwise(sample.length, (i) => {
+      return c0 * sample[i] + c1 * modelOutput[i] + c2 * noise[i];
+    });
+  },
+};
+
+function compare(schedulerName, model, functions = compiledFunctions) {
+  const tvm = createMockTVM({}, functions);
+  const vm = tvm.withNewScope(() => tvm.detachFromCurrentScope(tvm.createVirtualMachine()));
+  const result = compareSchedulerWithReference(
+    tvm, vm, tvm.webgpu(), model, schedulerName, schedulerConsts[schedulerName],
+    { latentShape: latentShape });
+  return [result, tvm, vm];
+}
+
+function assertClose(actual, expected) {
+  assert.strictEqual(actual.length, expected.length);
+  for (let i = 0; i < expected.length; ++i) {
+    assert.ok(Math.abs(actual[i] - expected[i]) < 1e-5, actual[i] + " != " + expected[i]);
+  }
+}
+
+test("pndm reference combines the history of model outputs", () => {
+  const consts = {
+    sample_coeff: [2, 2, 2, 2, 2, 2],
+    alpha_diff: [1, 1, 1, 1, 1, 1],
+    model_output_denom_coeff: [4, 4, 4, 4, 4, 4],
+  };
+  const scheduler = new PNDMReferenceScheduler(consts);
+  // 2 * sample - output / 4
+  assertClose(scheduler.step([4], [1], 0), [1]);
+  // the sample of the first step, with the mean of both model outputs
+  assertClose(scheduler.step([8], [100], 1), [2 - 6 / 4]);
+  assertClose(scheduler.step([12], [1], 2), [2 - (3 * 12 - 4) / 2 / 4]);
+  assertClose(scheduler.step([24], [1], 3), [2 - (23 * 24 - 16 * 12 + 5 * 4) / 12 / 4]);
+  assertClose(scheduler.step([48], [1], 4),
+    [2 - (55 * 48 - 59 * 24 + 37 * 12 - 9 * 4) / 24 / 4]);
+});
+
+test("dpm solver reference runs the first step in first order", () => {
+  const consts = schedulerConsts["multistep-dpm-solver"];
+  const scheduler = new DPMSolverMultistepReferenceScheduler(consts);
+  const first = (1 - 0.9 * 0.5) / 0.2;
+  assertClose(scheduler.step([0.5], [1], 0), [1.5 * 1 + 0.4 * first]);
+  const second = (2 - 0.8 * 0.25) / 0.4;
+  assertClose(scheduler.step([0.25], [2], 1), [1.3 * 2 + 0.3 * second - 0.1 * (second - first)]);
+});
+
+test("euler reference scales the input and steps to the next sigma", () => {
+  const consts = schedulerConsts["euler-discrete"];
+  const scheduler = new EulerDiscreteReferenceScheduler(consts);
+  assertClose(scheduler.scaleModelInput([3], 2), [3 / Math.sqrt(1.2 * 1.2 + 1)]);
+  assertClose(scheduler.step([0.5], [3], 2), [3 + (0.3 - 1.2) * 0.5]);
+  assertClose(scheduler.step([0.5], [3], 3), [3 - 0.3 * 0.5]);
+});
+
+for (const [schedulerName, model] of [
+  ["pndm", "Stable-Diffusion-1.5"],
+  ["multistep-dpm-solver", "Stable-Diffusion-1.5"],
+  ["euler-discrete", "Stable-Diffusion-XL"],
+  ["euler-ancestral", "Stable-Diffusion-1.5"],
+  ["ddim", "Stable-Diffusion-1.5"],
+  ["lcm", "Stable-Diffusion-1.5"],
+]) {
+  test(schedulerName + " reference matches the compiled functions", async () => {
+    const [result, tvm, vm] = compare(schedulerName, model);
+    const { steps, maxAbsDiff } = await result;
+    assert.strictEqual(steps.length, schedulerConsts[schedulerName].num_steps);
+    assert.strictEqual(
+      steps.every((step) => step.scaleMaxAbsDiff !== undefined),
+      schedulerName.startsWith("euler"));
+    assert.ok(maxAbsDiff < 1e-4, "max abs diff " + maxAbsDiff);
+    assert.strictEqual(tvm.scopes.length, 0);
+    assert.deepStrictEqual([...tvm.live], [vm]);
+  });
+}
+
+test("comparison finds a compiled function that differs", async () => {
+  const [result] = compare("euler-discrete", "Stable-Diffusion-XL", {
+    ...compiledFunctions,
+    // scale with sigma instead of sqrt(sigma^2 + 1)
+    euler_discrete_scheduler_scale: (sample, sigma) => {
+      return elementwise(sample.length, (i) => sample[i] / sigma);
+    },
+  });
+  const { steps, maxAbsDiff } = await result;
+  assert.ok(maxAbsDiff > 1e-2);
+  assert.ok(steps.every((step) => step.maxAbsDiff < 1e-4));
+});
+
+test("comparison draws the same noise on both sides", async () => {
+  const [result] = compare("lcm", "Stable-Diffusion-1.5", {
+    ...compiledFunctions,
+    // drop the noise
+    lcm_scheduler_step: (sample, modelOutput, noise, c0, c1, c2) => {
+      return elementwise(sample.length, (i) => c0 * sample[i] + c1 * modelOutput[i]);
+    },
+  });
+  const { steps } = await result;
+  assert.ok(steps.slice(0, 3).every((step) => step.maxAbsDiff > 1e-2));
+  // the last step adds no noise
+  assert.ok(steps[3].maxAbsDiff < 1e-4);
+});
+
+test("comparison rejects schedulers without a reference", async () => {
+  const tvm = createMockTVM();
+  await assert.rejects(
+    compareSchedulerWithReference(
+      tvm, undefined, tvm.webgpu(), "Stable-Diffusion-1.5", "unknown", {}),
+    /No reference implementation of scheduler unknown/);
+});
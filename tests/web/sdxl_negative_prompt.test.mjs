@@ -0,0 +1,55 @@
+import test from "node:test";
+import assert from "node:assert";
+import { createMockTVM, mockTokenizer } from "./mock_tvm.mjs";
+import { DiffusionXLPipeline } from "../../web/stable_diffusion_core.js";
+
+function createPipeline(options) {
+  const tvm = createMockTVM({
+    clip: [[1, 77, 768]],
+    clip2: [[1, 77, 1280], [1, 1280]],
+    concat_enocder_outputs: [1, 77, 2048],
+  });
+  const pipeline = tvm.withNewScope(() => new DiffusionXLPipeline(
+    tvm, mockTokenizer, mockTokenizer, {}, {}, options));
+  return [pipeline, tvm];
+}
+
+function encode(pipeline, negPrompt) {
+  const config = { width: 1024, height: 1024, warnings: [], options: {} };
+  return pipeline.tvm.withNewScope(() => {
+    return pipeline.encodeText("a photo of a cat", negPrompt, config);
+  });
+}
+
+function callsOf(tvm, name) {
+  return tvm.calls.filter((call) => call.name == name);
+}
+
+test("empty negative prompt uses zero embeddings by default", () => {
+  const [pipeline, tvm] = createPipeline();
+  encode(pipeline, "");
+  // only the positive prompt goes through the text encoders
+  assert.strictEqual(callsOf(tvm, "clip").length, 1);
+  assert.strictEqual(callsOf(tvm, "clip2").length, 1);
+
+  const [negEmbeddings, posEmbeddings] = callsOf(tvm, "concat_embeddings")[0].args;
+  assert.deepStrictEqual(negEmbeddings.shape, posEmbeddings.shape);
+  assert.ok(negEmbeddings.data.every((v) => v == 0));
+  const [poolNegEmbeddings, poolPosEmbeddings] = callsOf(tvm, "concat_pool_embeddings")[0].args;
+  assert.deepStrictEqual(poolNegEmbeddings.shape, poolPosEmbeddings.shape);
+  assert.ok(poolNegEmbeddings.data.every((v) => v == 0));
+});
+
+test("empty negative prompt is encoded when zeros are disabled", () => {
+  const [pipeline, tvm] = createPipeline({ forceZerosForEmptyPrompt: false });
+  encode(pipeline, "");
+  assert.strictEqual(callsOf(tvm, "clip").length, 2);
+  assert.strictEqual(callsOf(tvm, "clip2").length, 2);
+});
+
+test("non-empty negative prompt is always encoded", () => {
+  const [pipeline, tvm] = createPipeline();
+  encode(pipeline, "blurry");
+  assert.strictEqual(callsOf(tvm, "clip").length, 2);
+  assert.strictEqual(callsOf(tvm, "clip2").length, 2);
+});
@@ -0,0 +1,308 @@
+/**
+ * Pure JS reference implementations of the compiled scheduler steps.
+ *
+ * They follow the step functions of web_stable_diffusion/trace/scheduler_trace.py
+ * and the state handling of the scheduler wrappers in stable_diffusion_core.js,
+ * and use the same scheduler constants, so that a new model library or a change
+ * of the constants computed by stable_diffusion_core.js can be checked against them.
+ */
+import { SeededRandom, createScheduler } from "./stable_diffusion_core.js";
+
+/**
+ * Compute an elementwise expression over latents.
+ *
+ * @param length The number of elements.
+ * @param f Maps the element index to the output value.
+ * @returns The output Float32Array.
+ */
+function elementwise(length, f) {
+  const output = new Float32Array(length);
+  for (let i = 0; i < length; ++i) {
+    output[i] = f(i);
+  }
+  return output;
+}
+
+/**
+ * Reference of TVMPNDMScheduler, pndm_scheduler_step_0 to pndm_scheduler_step_4.
+ */
+export class PNDMReferenceScheduler {
+  constructor(schedulerConsts) {
+    this.schedulerConsts = schedulerConsts;
+    this.ets = [];
+    this.currSample = undefined;
+  }
+
+  step(modelOutput, sample, counter) {
+    const consts = this.schedulerConsts;
+    // keep running history of last four inputs
+    if (this.ets.length == 0) {
+      for (let i = 0; i < 4; ++i) {
+        this.ets.push(new Float32Array(modelOutput.length));
+      }
+    }
+    if (counter != 1) {
+      this.ets.shift();
+      this.ets.push(modelOutput);
+    }
+    if (counter == 0) {
+      this.currSample = sample;
+    } else if (counter == 1) {
+      sample = this.currSample;
+      this.currSample = undefined;
+    }
+    const [e0, e1, e2, e3] = this.ets;
+    const combine = [
+      (i) => modelOutput[i],
+      (i) => (modelOutput[i] + e3[i]) / 2,
+      (i) => (3 * e3[i] - e2[i]) / 2,
+      (i) => (23 * e3[i] - 16 * e2[i] + 5 * e1[i]) / 12,
+      (i) => (1 / 24) * (55 * e3[i] - 59 * e2[i] + 37 * e1[i] - 9 * e0[i]),
+    ][Math.min(counter, 4)];
+    const sampleCoeff = consts["sample_coeff"][counter];
+    const alphaDiff = consts["alpha_diff"][counter];
+    const denomCoeff = consts["model_output_denom_coeff"][counter];
+    return elementwise(sample.length, (i) => {
+      return sampleCoeff * sample[i] - alphaDiff * combine(i) / denomCoeff;
+    });
+  }
+}
+
+/**
+ * Reference of TVMDPMSolverMultistepScheduler,
+ * dpm_solver_multistep_scheduler_convert_model_output
+ * and dpm_solver_multistep_scheduler_step.
+ */
+export class DPMSolverMultistepReferenceScheduler {
+  constructor(schedulerConsts) {
+    this.schedulerConsts = schedulerConsts;
+    this.lastModelOutput = undefined;
+  }
+
+  step(modelOutput, sample, counter) {
+    const consts = this.schedulerConsts;
+    const alpha = consts["alpha"][counter];
+    const sigma = consts["sigma"][counter];
+    const converted = elementwise(sample.length, (i) => {
+      return (sample[i] - sigma * modelOutput[i]) / alpha;
+    });
+    const c0 = consts["c0"][counter];
+    const c1 = consts["c1"][counter];
+    // the first step runs in first order
+    const c2 = this.lastModelOutput !== undefined ? consts["c2"][counter] : 0;
+    const last = this.lastModelOutput !== undefined ?
+      this.lastModelOutput : new Float32Array(sample.length);
+    const prevSample = elementwise(sample.length, (i) => {
+      return c0 * sample[i] - c1 * converted[i] - c2 * (converted[i] - last[i]);
+    });
+    this.lastModelOutput = converted;
+    return prevSample;
+  }
+}
+
+/**
+ * Reference of EulerDiscreteScheduler, euler_discrete_scheduler_scale
+ * and euler_discrete_scheduler_step, for epsilon prediction.
+ */
+export class EulerDiscreteReferenceScheduler {
+  constructor(schedulerConsts) {
+    this.schedulerConsts = schedulerConsts;
+  }
+
+  step(modelOutput, sample, counter) {
+    const sigma = this.schedulerConsts["sigma"][counter];
+    const sigmaNext = this.schedulerConsts["sigma"][counter + 1];
+    // the derivative (sample - denoised) / sigma is the model output
+    return elementwise(sample.length, (i) => {
+      return sample[i] + (sigmaNext - sigma) * modelOutput[i];
+    });
+  }
+
+  scaleModelInput(sample, counter) {
+    const sigma = this.schedulerConsts["sigma"][counter];
+    const scale = 1 / Math.sqrt(sigma * sigma + 1);
+    return elementwise(sample.length, (i) => sample[i] * scale);
+  }
+}
+
+/**
+ * Reference of TVMEulerAncestralScheduler, euler_ancestral_scheduler_scale
+ * and euler_ancestral_scheduler_step.
+ *
+ * The noise of each step is drawn from rng, which must draw the same
+ * noise as the random generator of the compiled scheduler.
+ */
+export class EulerAncestralReferenceScheduler {
+  constructor(schedulerConsts, rng) {
+    this.schedulerConsts = schedulerConsts;
+    this.rng = rng;
+  }
+
+  step(modelOutput, sample, counter) {
+    const consts = this.schedulerConsts;
+    const sigma = consts["sigma"][counter];
+    const sigmaDown = consts["sigma_down"][counter];
+    const sigmaUp = consts["sigma_up"][counter];
+    const noise = this.rng.gaussian([sample.length]);
+    return elementwise(sample.length, (i) => {
+      return sample[i] + (sigmaDown - sigma) * modelOutput[i] + sigmaUp * noise[i];
+    });
+  }
+
+  scaleModelInput(sample, counter) {
+    const scale = this.schedulerConsts["input_scale"][counter];
+    return elementwise(sample.length, (i) => sample[i] * scale);
+  }
+}
+
+/**
+ * Reference of TVMDDIMScheduler, ddim_scheduler_step.
+ */
+export class DDIMReferenceScheduler {
+  constructor(schedulerConsts) {
+    this.schedulerConsts = schedulerConsts;
+  }
+
+  step(modelOutput, sample, counter) {
+    const sampleCoeff = this.schedulerConsts["sample_coeff"][counter];
+    const modelOutputCoeff = this.schedulerConsts["model_output_coeff"][counter];
+    return elementwise(sample.length, (i) => {
+      return sampleCoeff * sample[i] + modelOutputCoeff * modelOutput[i];
+    });
+  }
+}
+
+/**
+ * Reference of TVMLCMScheduler, lcm_scheduler_step.
+ *
+ * The noise of each step is drawn from rng, which must draw the same
+ * noise as the random generator of the compiled scheduler.
+ */
+export class LCMReferenceScheduler {
+  constructor(schedulerConsts, rng) {
+    this.schedulerConsts = schedulerConsts;
+    this.rng = rng;
+  }
+
+  step(modelOutput, sample, counter) {
+    const consts = this.schedulerConsts;
+    const c0 = consts["c0"][counter];
+    const c1 = consts["c1"][counter];
+    const c2 = consts["c2"][counter];
+    // the compiled scheduler draws the noise of the last step too
+    const noise = this.rng.gaussian([sample.length]);
+    return elementwise(sample.length, (i) => {
+      return c0 * sample[i] + c1 * modelOutput[i] + c2 * noise[i];
+    });
+  }
+}
+
+/**
+ * The reference schedulers, by name in the scheduler registry.
+ */
+export const referenceSchedulers = {
+  "pndm": PNDMReferenceScheduler,
+  "multistep-dpm-solver": DPMSolverMultistepReferenceScheduler,
+  "euler-discrete": EulerDiscreteReferenceScheduler,
+  "euler-ancestral": EulerAncestralReferenceScheduler,
+  "ddim": DDIMReferenceScheduler,
+  "lcm": LCMReferenceScheduler,
+};
+
+/**
+ * Run the compiled scheduler and its reference on a toy latent, and diff them.
+ *
+ * Every step gets the same random model output and sample on both sides,
+ * the sample of the next step is the reference output. The schedulers that
+ * add noise in their steps get random generators of the same seed.
+ *
+ * @param tvm The tvm instance with the model library loaded.
+ * @param vm The virtual machine of the model library.
+ * @param device The device of the model library.
+ * @param model The model name, the scheduler must support it.
+ * @param schedulerName The name of the scheduler in the scheduler registry.
+ * @param schedulerConsts The constants of the scheduler.
+ * @param options The comparison options.
+ * @param options.latentShape The latent shape the model library is compiled for.
+ * @param options.numSteps Only compare the first steps, defaults to all of them.
+ * @param options.seed The seed of the toy latent.
+ * @returns The max absolute difference of each step, and their max.
+ */
+export async function compareSchedulerWithReference(
+  tvm, vm, device, model, schedulerName, schedulerConsts, options = {}
+) {
+  const {
+    latentShape = [1, 4, 64, 64],
+    numSteps = schedulerConsts["num_steps"],
+    seed = 0
+  } = options;
+  const referenceClass = referenceSchedulers[schedulerName];
+  if (referenceClass === undefined) {
+    throw Error("No reference implementation of scheduler " + schedulerName);
+  }
+  // the noise of the steps, the same on both sides
+  const noiseSeed = seed + 1;
+  const reference = new referenceClass(schedulerConsts, new SeededRandom(noiseSeed));
+  const scheduler = tvm.withNewScope(() => {
+    const [scheduler] = createScheduler(
+      schedulerName, model, { [schedulerName]: schedulerConsts }, latentShape, tvm, device, vm,
+      new SeededRandom(noiseSeed));
+    return scheduler;
+  });
+  const rng = new SeededRandom(seed);
+  // copy a detached NDArray to JS and dispose it
+  const copyToJS = async (arr) => {
+    const cpuArr = tvm.withNewScope(() => {
+      return tvm.detachFromCurrentScope(tvm.empty(arr.shape, arr.dtype, tvm.cpu(0)));
+    });
+    cpuArr.copyFrom(arr);
+    await device.sync();
+    const result = cpuArr.toArray().slice();
+    cpuArr.dispose();
+    arr.dispose();
+    return result;
+  };
+  const maxAbsDiff = (a, b) => {
+    let diff = 0;
+    for (let i = 0; i < a.length; ++i) {
+      diff = Math.max(diff, Math.abs(a[i] - b[i]));
+    }
+    return diff;
+  };
+
+  const steps = [];
+  let sample = rng.gaussian(latentShape);
+  try {
+    for (let counter = 0; counter < numSteps; ++counter) {
+      const modelOutput = rng.gaussian(latentShape);
+      const [compiledOutput, compiledScaled] = tvm.withNewScope(() => {
+        const sampleArr = tvm.empty(latentShape, "float32", device).copyFrom(sample);
+        const modelOutputArr = tvm.empty(latentShape, "float32", device).copyFrom(modelOutput);
+        let scaled = undefined;
+        if (scheduler.scaleModelInput !== undefined) {
+          scaled = tvm.detachFromCurrentScope(scheduler.scaleModelInput(sampleArr, counter));
+        }
+        const output = tvm.detachFromCurrentScope(
+          scheduler.step(modelOutputArr, sampleArr, counter));
+        return [output, scaled];
+      });
+      const step = { counter: counter };
+      if (compiledScaled !== undefined) {
+        step.scaleMaxAbsDiff = maxAbsDiff(
+          await copyToJS(compiledScaled), reference.scaleModelInput(sample, counter));
+      }
+      const referenceOutput = reference.step(modelOutput, sample, counter);
+      step.maxAbsDiff = maxAbsDiff(await copyToJS(compiledOutput), referenceOutput);
+      steps.push(step);
+      sample = referenceOutput;
+    }
+  } finally {
+    scheduler.dispose();
+  }
+  return {
+    steps: steps,
+    maxAbsDiff: Math.max(0, ...steps.map((step) => {
+      return Math.max(step.maxAbsDiff, step.scaleMaxAbsDiff !== undefined ? step.scaleMaxAbsDiff : 0);
+    })),
+  };
+}
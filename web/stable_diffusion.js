@@ -1,988 +1,731 @@
 /**
- * Wrapper to handle PNDM scheduler
+ * Page wiring of web stable diffusion: read the inputs, show the
+ * progress, the job queue and the generated images.
+ *
+ * The pipelines and the model instance are in stable_diffusion_core.js.
  */
-class TVMPNDMScheduler {
-  constructor(schedulerConsts, latentShape, tvm, device, vm) {
-    this.timestep = [];
-    this.sampleCoeff = [];
-    this.alphaDiff = [];
-    this.modelOutputDenomCoeff = [];
-    this.ets = [];
-    this.schedulerFunc = [];
-    this.currSample = undefined;
-    this.tvm = tvm;
-
-    // prebuild constants
-    // principle: always detach for class members
-    // to avoid recycling output scope.
-    function loadConsts(output, dtype, input) {
-      for (let t = 0; t < input.length; ++t) {
-        output.push(
-          tvm.detachFromCurrentScope(
-            tvm.empty([], dtype, device).copyFrom([input[t]])
-          )
-        );
-      }
-    }
-    loadConsts(this.timestep, "int32", schedulerConsts["timesteps"]);
-    loadConsts(this.sampleCoeff, "float32", schedulerConsts["sample_coeff"]);
-    loadConsts(this.alphaDiff, "float32", schedulerConsts["alpha_diff"]);
-    loadConsts(
-      this.modelOutputDenomCoeff, "float32",
-      schedulerConsts["model_output_denom_coeff"]);
-
-    for (let i = 0; i < 4; ++i) {
-      this.ets.push(
-        this.tvm.detachFromCurrentScope(
-          this.tvm.empty(latentShape, "float32", device)
-        )
-      );
-    }
-
-    for (let i = 0; i < 5; ++i) {
-      this.schedulerFunc.push(
-        tvm.detachFromCurrentScope(
-          vm.getFunction("pndm_scheduler_step_" + i.toString())
-        )
-      );
-    }
-  }
-
-  dispose() {
-    for (let t = 0; t < this.timestep.length; ++t) {
-      this.timestep[t].dispose();
-      this.sampleCoeff[t].dispose();
-      this.alphaDiff[t].dispose();
-      this.modelOutputDenomCoeff[t].dispose();
-    }
-
-    for (let i = 0; i < this.schedulerFunc.length; ++i) {
-      this.schedulerFunc[i].dispose();
-    }
-
-    if (this.currSample) {
-      this.currSample.dispose();
-    }
-    for (let i = 0; i < this.ets.length; ++i) {
-      this.ets[i].dispose();
-    }
-  }
+import {
+  StableDiffusionInstance,
+  StableDiffusionPipeline,
+  DiffusionXLPipeline,
+  getSchedulersForModel,
+  formatBytes,
+  addPNGTextChunks,
+  formatGenerationParameters,
+  readPNGTextChunks,
+  parseGenerationParameters,
+} from "./stable_diffusion_core.js";
+import {
+  referenceSchedulers,
+  compareSchedulerWithReference,
+} from "./scheduler_reference.js";
+
+// the image currently shown on the canvas
+let currentImage = undefined;
 
-  step(modelOutput, sample, counter) {
-    // keep running history of last four inputs
-    if (counter != 1) {
-      this.ets.shift();
-      this.ets.push(this.tvm.detachFromCurrentScope(
-        modelOutput
-      ));
-    }
-    if (counter == 0) {
-      this.currSample = this.tvm.detachFromCurrentScope(
-        sample
-      );
-    } else if (counter == 1) {
-      sample = this.tvm.attachToCurrentScope(this.currSample);
-      this.currSample = undefined;
-    }
+/**
+ * Write a log message to the console and the page.
+ * @param message The message.
+ */
+function log_to_page(message) {
+  console.log(message);
+  const d = document.createElement("div");
+  d.innerHTML = message;
+  document.getElementById("log").appendChild(d);
+}
 
-    const findex = counter < 4 ? counter : 4;
-    const prevLatents = this.schedulerFunc[findex](
-      sample,
-      modelOutput,
-      this.sampleCoeff[counter],
-      this.alphaDiff[counter],
-      this.modelOutputDenomCoeff[counter],
-      this.ets[0],
-      this.ets[1],
-      this.ets[2],
-      this.ets[3]
-    );
-    return prevLatents;
-  }
+/**
+ * Show a progress report on the progress tracker.
+ * @param report The report, with the progress in [0, 1] and a text.
+ */
+function show_progress(report) {
+  document.getElementById("progress-tracker-label").innerHTML = report.text;
+  document.getElementById("progress-tracker-progress").value = report.progress * 100;
 }
 
 /**
- * Wrapper to handle multistep DPM-solver scheduler
+ * Resize the canvas and the mask overlay to the generated image size.
+ *
+ * @param width The image width.
+ * @param height The image height.
  */
-class TVMDPMSolverMultistepScheduler {
-  constructor(schedulerConsts, latentShape, tvm, device, vm) {
-    this.timestep = [];
-    this.alpha = [];
-    this.sigma = [];
-    this.c0 = [];
-    this.c1 = [];
-    this.c2 = [];
-    this.lastModelOutput = undefined;
-    this.convertModelOutputFunc = undefined;
-    this.stepFunc = undefined;
-    this.tvm = tvm;
-
-    // prebuild constants
-    // principle: always detach for class members
-    // to avoid recycling output scope.
-    function loadConsts(output, dtype, input) {
-      for (let t = 0; t < input.length; ++t) {
-        output.push(
-          tvm.detachFromCurrentScope(
-            tvm.empty([], dtype, device).copyFrom([input[t]])
-          )
-        );
-      }
+function resize_canvas(width, height) {
+  for (const id of ["canvas", "maskCanvas"]) {
+    const canvas = document.getElementById(id);
+    // resizing clears the canvas, only do it when needed
+    if (canvas.width != width || canvas.height != height) {
+      canvas.width = width;
+      canvas.height = height;
     }
-    loadConsts(this.timestep, "int32", schedulerConsts["timesteps"]);
-    loadConsts(this.alpha, "float32", schedulerConsts["alpha"]);
-    loadConsts(this.sigma, "float32", schedulerConsts["sigma"]);
-    loadConsts(this.c0, "float32", schedulerConsts["c0"]);
-    loadConsts(this.c1, "float32", schedulerConsts["c1"]);
-    loadConsts(this.c2, "float32", schedulerConsts["c2"]);
-
-    this.lastModelOutput = this.tvm.detachFromCurrentScope(
-      this.tvm.empty(latentShape, "float32", device)
-    )
-    this.convertModelOutputFunc = tvm.detachFromCurrentScope(
-      vm.getFunction("dpm_solver_multistep_scheduler_convert_model_output")
-    )
-    this.stepFunc = tvm.detachFromCurrentScope(
-      vm.getFunction("dpm_solver_multistep_scheduler_step")
-    )
-  }
-
-  dispose() {
-    for (let t = 0; t < this.timestep.length; ++t) {
-      this.timestep[t].dispose();
-      this.alpha[t].dispose();
-      this.sigma[t].dispose();
-      this.c0[t].dispose();
-      this.c1[t].dispose();
-      this.c2[t].dispose();
-    }
-
-    this.lastModelOutput.dispose();
-    this.convertModelOutputFunc.dispose();
-    this.stepFunc.dispose();
   }
+}
 
-  step(modelOutput, sample, counter) {
-    modelOutput = this.convertModelOutputFunc(sample, modelOutput, this.alpha[counter], this.sigma[counter])
-    const prevLatents = this.stepFunc(
-      sample,
-      modelOutput,
-      this.lastModelOutput,
-      this.c0[counter],
-      this.c1[counter],
-      this.c2[counter],
-    );
-    this.lastModelOutput = this.tvm.detachFromCurrentScope(
-      modelOutput
-    );
-
-    return prevLatents;
+/**
+ * Show the job queue, with controls to reorder and remove jobs.
+ * @param jobQueue The jobs of the instance.
+ */
+function render_job_queue(jobQueue) {
+  const list = document.getElementById("jobQueue");
+  list.innerHTML = "";
+  for (const job of jobQueue) {
+    const row = document.createElement("div");
+    const text = document.createElement("span");
+    text.textContent = "[" + job.status + "] " + job.prompt +
+      (job.numImages != 1 ? " (" + job.numImages + " images)" : "") + " ";
+    row.appendChild(text);
+    const buttons = [
+      ["Up", () => localStableDiffusionInst.moveJob(job.id, -1)],
+      ["Down", () => localStableDiffusionInst.moveJob(job.id, 1)],
+      ["Remove", () => localStableDiffusionInst.removeJob(job.id)],
+    ];
+    for (const [label, onclick] of buttons) {
+      const button = document.createElement("button");
+      button.textContent = label;
+      button.onclick = onclick;
+      row.appendChild(button);
+    }
+    list.appendChild(row);
   }
 }
 
-class EulerDiscreteScheduler {
-  constructor(schedulerConsts, latentShape, tvm, device, vm) {
-    this.timestep = [];
-    this.sigma = [];
-    this.lastModelOutput = undefined;
-    this.ScaleModelInputFunc = undefined;
-    this.stepFunc = undefined;
-    this.tvm = tvm;
-
-    // prebuild constants
-    // principle: always detach for class members
-    // to avoid recycling output scope.
-    function loadConsts(output, dtype, input) {
-      for (let t = 0; t < input.length; ++t) {
-        output.push(
-          tvm.detachFromCurrentScope(
-            tvm.empty([], dtype, device).copyFrom([input[t]])
-          )
-        );
-      }
+/**
+ * Show a generated image and add it to the gallery, clicking the
+ * thumbnail shows the image in full size on the canvas again.
+ *
+ * @param image The image returned by pipeline generate.
+ */
+function add_to_gallery(image) {
+  document.getElementById("seed-tracker-label").innerHTML = "Seed used: " + image.seed;
+  currentImage = image;
+  const fullCanvas = document.createElement("canvas");
+  fullCanvas.width = image.width;
+  fullCanvas.height = image.height;
+  fullCanvas.getContext("2d").putImageData(
+    new ImageData(image.rgba, image.width, image.height), 0, 0);
+
+  const thumbSize = 128;
+  const scale = thumbSize / Math.max(image.width, image.height);
+  const thumb = document.createElement("canvas");
+  thumb.width = Math.round(image.width * scale);
+  thumb.height = Math.round(image.height * scale);
+  thumb.getContext("2d").drawImage(fullCanvas, 0, 0, thumb.width, thumb.height);
+  thumb.title = "Seed " + image.seed;
+  thumb.style.cursor = "pointer";
+  thumb.style.margin = "2px";
+  thumb.onclick = () => {
+    const inst = localStableDiffusionInst;
+    if (inst.pipeline === undefined || inst.queueRunning) {
+      inst.logger("Pipeline is not ready, cannot show the image");
+      return;
     }
-    loadConsts(this.timestep, "int32", schedulerConsts["timesteps"]);
-    loadConsts(this.sigma, "float32", schedulerConsts["sigma"]);
-
-    this.lastModelOutput = this.tvm.detachFromCurrentScope(
-      this.tvm.empty(latentShape, "float32", device)
-    )
-    this.ScaleModelInputFunc = tvm.detachFromCurrentScope(
-      vm.getFunction("euler_discrete_scheduler_scale")
-    )
-    this.stepFunc = tvm.detachFromCurrentScope(
-      vm.getFunction("euler_discrete_scheduler_step")
-    )
-  }
+    resize_canvas(image.width, image.height);
+    inst.pipeline.showImage(image);
+    currentImage = image;
+    document.getElementById("seed-tracker-label").innerHTML = "Seed used: " + image.seed;
+  };
+  document.getElementById("gallery").appendChild(thumb);
+}
 
-  dispose() {
-    for (let t = 0; t < this.timestep.length; ++t) {
-      this.timestep[t].dispose();
-      this.sigma[t].dispose();
-    }
+// the instance options shared by the page and the rpc instances
+const pageOptions = {
+  logger: log_to_page,
+  onProgress: show_progress,
+  onGPUStatus: (text) => {
+    document.getElementById("gpu-tracker-label").innerHTML = text;
+  },
+  onQueueChange: render_job_queue,
+  onImage: add_to_gallery,
+  onModelLoad: update_model_controls,
+  resizeCanvas: resize_canvas,
+  canvas: document.getElementById("canvas"),
+  getTokenizer: (name) => tvmjsGlobalEnv.getTokenizer(name),
+  baseUrl: document.URL,
+};
 
-    this.lastModelOutput.dispose();
-    this.ScaleModelInputFunc.dispose();
-    this.stepFunc.dispose();
-  }
+const localStableDiffusionInst = new StableDiffusionInstance(pageOptions);
 
-  step(modelOutput, sample, counter) {
-    const prevLatents = this.stepFunc(
-      sample,
-      modelOutput,
-      this.sigma[counter],
-      this.sigma[counter+1],
-    );
+/**
+ * Load an image file and resize it to the generated image size.
+ *
+ * @param file The image file.
+ * @param width The target width.
+ * @param height The target height.
+ * @returns The resized ImageData.
+ */
+async function load_image(file, width, height) {
+  const bitmap = await createImageBitmap(file);
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+  return ctx.getImageData(0, 0, width, height);
+}
 
-    return prevLatents;
-  }
+/**
+ * Get the image shown on the canvas, resized to the generated image size.
+ *
+ * @param width The target width.
+ * @param height The target height.
+ * @returns The resized ImageData, undefined when no image is shown yet.
+ */
+function get_canvas_image(width, height) {
+  const image = currentImage;
+  if (image === undefined) return undefined;
+  const source = document.createElement("canvas");
+  source.width = image.width;
+  source.height = image.height;
+  source.getContext("2d").putImageData(
+    new ImageData(image.rgba, image.width, image.height), 0, 0);
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(source, 0, 0, width, height);
+  return ctx.getImageData(0, 0, width, height);
+}
 
-  scaleModelInput(sample, counter) {
-    const result = this.ScaleModelInputFunc(
-      sample,
-      this.sigma[counter],
-    );
+/**
+ * Get the painted inpainting mask, resized to the generated image size.
+ *
+ * @param width The target width.
+ * @param height The target height.
+ * @returns The mask ImageData.
+ */
+function get_mask_image(width, height) {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(document.getElementById("maskCanvas"), 0, 0, width, height);
+  return ctx.getImageData(0, 0, width, height);
+}
 
-    return result;
-  }
+/**
+ * Read the SDXL size and crop conditioning from the advanced settings,
+ * the pairs left empty use the pipeline defaults.
+ *
+ * @returns The generate options of the filled pairs.
+ */
+function get_size_conditioning() {
+  const fields = {
+    originalSize: ["originalHeight", "originalWidth"],
+    cropCoords: ["cropTop", "cropLeft"],
+    targetSize: ["targetHeight", "targetWidth"],
+    negativeOriginalSize: ["negativeOriginalHeight", "negativeOriginalWidth"],
+    negativeCropCoords: ["negativeCropTop", "negativeCropLeft"],
+    negativeTargetSize: ["negativeTargetHeight", "negativeTargetWidth"],
+  };
+  const result = {};
+  for (const [option, ids] of Object.entries(fields)) {
+    const texts = ids.map((id) => document.getElementById(id).value.trim());
+    if (texts.every((text) => text.length == 0)) continue;
+    const values = texts.map((text) => Number(text));
+    if (texts.some((text) => text.length == 0) ||
+      !values.every((v) => Number.isInteger(v) && v >= 0)) {
+      throw Error("Expect both values of " + option + " to be non-negative integers");
+    }
+    result[option] = values;
+  }
+  return result;
 }
 
-class StableDiffusionPipeline {
-  constructor(tvm, tokenizer, schedulerConsts, cacheMetadata) {
-    if (cacheMetadata == undefined) {
-      throw Error("Expect cacheMetadata");
+/**
+ * Add a generate job with the current page inputs to the queue.
+ */
+async function generate_from_page() {
+  const logger = localStableDiffusionInst.logger;
+  const seedText = document.getElementById("seed").value.trim();
+  const seed = seedText.length != 0 ? Number(seedText) : undefined;
+  if (seed !== undefined && !(Number.isInteger(seed) && seed >= 0 && seed <= 4294967295)) {
+    logger("Seed must be an integer between 0 and 4294967295, generate request ignored");
+    return;
+  }
+  const numImages = Number(document.getElementById("numImages").value);
+  if (!(Number.isInteger(numImages) && numImages >= 1)) {
+    logger("Number of images must be a positive integer, generate request ignored");
+    return;
+  }
+  const numSteps = Number(document.getElementById("numSteps").value);
+  if (!(Number.isInteger(numSteps) && numSteps >= 1)) {
+    logger("Number of steps must be a positive integer, generate request ignored");
+    return;
+  }
+  const width = parseInt(document.getElementById("imageWidth").value);
+  const height = parseInt(document.getElementById("imageHeight").value);
+  const initImageFile = document.getElementById("initImage").files[0];
+  const maskEnabled = document.getElementById("maskEnabled").checked;
+  let initImage = undefined;
+  let mask = undefined;
+  if (initImageFile !== undefined) {
+    try {
+      initImage = await load_image(initImageFile, width, height);
+    } catch (err) {
+      logger("Cannot load the initial image, " + err.toString());
+      return;
+    }
+  } else if (maskEnabled) {
+    // without an initial image, inpaint the image shown on the canvas
+    initImage = get_canvas_image(width, height);
+    if (initImage === undefined) {
+      logger("No image to inpaint, choose an initial image or generate one, generate request ignored");
+      return;
     }
-    this.tvm = tvm;
-    this.tokenizer = tokenizer;
-    this.maxTokenLength = 77;
-
-    this.device = this.tvm.webgpu();
-    this.tvm.bindCanvas(document.getElementById("canvas"));
-    // VM functions
-    this.vm = this.tvm.detachFromCurrentScope(
-      this.tvm.createVirtualMachine(this.device)
-    );
-
-    this.schedulerConsts = schedulerConsts;
-    this.clipToTextEmbeddings = this.tvm.detachFromCurrentScope(
-      this.vm.getFunction("clip")
-    );
-    this.clipParams = this.tvm.detachFromCurrentScope(
-      this.tvm.getParamsFromCache("clip", cacheMetadata.clipParamSize)
-    );
-    this.unetLatentsToNoisePred = this.tvm.detachFromCurrentScope(
-      this.vm.getFunction("unet")
-    );
-    this.unetParams = this.tvm.detachFromCurrentScope(
-      this.tvm.getParamsFromCache("unet", cacheMetadata.unetParamSize)
-    );
-    this.vaeToImage = this.tvm.detachFromCurrentScope(
-      this.vm.getFunction("vae")
-    );
-    this.vaeParams = this.tvm.detachFromCurrentScope(
-      this.tvm.getParamsFromCache("vae", cacheMetadata.vaeParamSize)
-    );
-    this.imageToRGBA = this.tvm.detachFromCurrentScope(
-      this.vm.getFunction("image_to_rgba")
-    );
-    this.concatEmbeddings = this.tvm.detachFromCurrentScope(
-      this.vm.getFunction("concat_embeddings")
-    );
   }
+  if (initImage !== undefined && maskEnabled) {
+    mask = get_mask_image(initImage.width, initImage.height);
+  }
+  let sizeConditioning = undefined;
+  try {
+    sizeConditioning = get_size_conditioning();
+  } catch (err) {
+    logger(err.message + ", generate request ignored");
+    return;
+  }
+  const guidanceScaleInput = document.getElementById("guidanceScale");
+  const guidanceScaleChanged = guidanceScaleInput.value != guidanceScaleInput.defaultValue;
+  await localStableDiffusionInst.generate({
+    prompt: document.getElementById("inputPrompt").value,
+    negPrompt: document.getElementById("negativePrompt").value,
+    schedulerName: document.getElementById("schedulerId").value,
+    vaeCycle: document.getElementById("vaeCycle").value,
+    numImages: numImages,
+    options: {
+      seed: seed,
+      initImage: initImage,
+      strength: parseFloat(document.getElementById("strength").value),
+      mask: mask,
+      // the model default, such as 5.0 for SDXL, unless the user has changed the slider
+      guidanceScale: guidanceScaleChanged ? parseFloat(guidanceScaleInput.value) : undefined,
+      numSteps: numSteps,
+      width: width,
+      height: height,
+      ...sizeConditioning
+    },
+    // only warn about an ignored guidance scale the user has changed
+    guidanceScaleChanged: guidanceScaleChanged,
+    // the fraction of the steps handed to the SDXL refiner, if enabled
+    refinerStart: document.getElementById("refinerEnabled").checked ?
+      parseFloat(document.getElementById("refinerStart").value) : undefined,
+  });
+}
 
-  dispose() {
-    // note: tvm instance is not owned by this class
-    this.concatEmbeddings.dispose();
-    this.imageToRGBA.dispose()
-    this.vaeParams.dispose();
-    this.vaeToImage.dispose();
-    this.unetParams.dispose();
-    this.unetLatentsToNoisePred.dispose();
-    this.clipParams.dispose();
-    this.clipToTextEmbeddings.dispose();
-    this.vm.dispose();
-  }
+/**
+ * Download the image shown on the canvas as PNG,
+ * with the generation parameters in the text chunks.
+ */
+async function download_png() {
+  const image = currentImage;
+  if (image === undefined) {
+    localStableDiffusionInst.logger("No generated image to download");
+    return;
+  }
+  const canvas = document.createElement("canvas");
+  canvas.width = image.width;
+  canvas.height = image.height;
+  canvas.getContext("2d").putImageData(
+    new ImageData(image.rgba, image.width, image.height), 0, 0);
+  const blob = await new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+  const png = addPNGTextChunks(new Uint8Array(await blob.arrayBuffer()), {
+    "parameters": formatGenerationParameters(image),
+    "prompt": image.prompt,
+    "negative_prompt": image.negPrompt,
+    "seed": image.seed,
+    "scheduler": image.scheduler,
+    "steps": image.steps,
+    "model": image.model,
+    "size": image.width + "x" + image.height,
+  });
+  const url = URL.createObjectURL(new Blob([png], { type: "image/png" }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = "stable-diffusion-" + image.seed + ".png";
+  link.click();
+  URL.revokeObjectURL(url);
+}
 
-  /**
-   * Tokenize the prompt to TVMNDArray.
-   * @param prompt Input prompt
-   * @returns The text id NDArray.
-   */
-  tokenize(prompt) {
-    const encoded = this.tokenizer.encode(prompt, true).input_ids;
-    const inputIDs = new Int32Array(this.maxTokenLength);
-
-    if (encoded.length < this.maxTokenLength) {
-      inputIDs.set(encoded);
-      const lastTok = encoded[encoded.length - 1];
-      inputIDs.fill(lastTok, encoded.length, inputIDs.length);
-    } else {
-      inputIDs.set(encoded.slice(0, this.maxTokenLength));
+/**
+ * Show the cache status of every model in the config,
+ * with the storage used by the page.
+ */
+async function refresh_cache_panel() {
+  const inst = localStableDiffusionInst;
+  const panel = document.getElementById("cachePanel");
+  const rows = [];
+  for (const info of await inst.asyncGetCacheInfo()) {
+    let status = "not cached";
+    if (info.numShards != 0 && info.numCachedShards == info.numShards) {
+      status = "cached, " + formatBytes(info.cachedBytes);
+    } else if (info.numShards != 0) {
+      status = "partially cached, " + formatBytes(info.cachedBytes) +
+        " of " + formatBytes(info.totalBytes);
+    }
+    const row = document.createElement("div");
+    row.append(info.name + ": " + status + " ");
+    const buttons = [
+      ["Download now", () => inst.downloadModel(info.name)],
+      ["Delete", () => inst.deleteModel(info.name)],
+    ];
+    for (const [label, action] of buttons) {
+      const button = document.createElement("button");
+      button.textContent = label;
+      button.onclick = async () => {
+        await action();
+        await refresh_cache_panel();
+      };
+      row.appendChild(button);
     }
-    return this.tvm.empty([1, this.maxTokenLength], "int32", this.device).copyFrom(inputIDs);
+    rows.push(row);
   }
-
-  /**
-   * async preload webgpu pipelines when possible.
-   */
-  async asyncLoadWebGPUPipelines() {
-    await this.tvm.asyncLoadWebGPUPipelines(this.vm.getInternalModule());
+  if (navigator.storage !== undefined && navigator.storage.estimate !== undefined) {
+    const estimate = await navigator.storage.estimate();
+    const row = document.createElement("div");
+    row.textContent = "Storage used: " + formatBytes(estimate.usage) +
+      " of " + formatBytes(estimate.quota);
+    rows.push(row);
   }
+  panel.innerHTML = "";
+  panel.append(...rows);
+}
 
-  /**
-   * Run generation pipeline.
-   *
-   * @param prompt Input prompt.
-   * @param negPrompt Input negative prompt.
-   * @param progressCallback Callback to check progress.
-   * @param schedulerId The integer ID of the scheduler to use.
-   * - 0 for multi-step DPM solver,
-   * - 1 for PNDM solver.
-   * @param vaeCycle optionally draw VAE result every cycle iterations.
-   * @param beginRenderVae Begin rendering VAE after skipping these warmup runs.
-   */
-  async generate(
-    prompt,
-    negPrompt = "",
-    progressCallback = undefined,
-    schedulerId = 0,
-    vaeCycle = -1,
-    beginRenderVae = 10
-  ) {
-    // Principle: beginScope/endScope in synchronized blocks,
-    // this helps to recycle intermediate memories
-    // detach states that needs to go across async boundaries.
-    //--------------------------
-    // Stage 0: CLIP
-    //--------------------------
-    this.tvm.beginScope();
-    // get latents
-    const latentShape = [1, 4, 64, 64];
-
-    var unetNumSteps;
-    if (schedulerId == 0) {
-      scheduler = new TVMDPMSolverMultistepScheduler(
-        this.schedulerConsts[0], latentShape, this.tvm, this.device, this.vm);
-      unetNumSteps = this.schedulerConsts[0]["num_steps"];
-    } else {
-      scheduler = new TVMPNDMScheduler(
-        this.schedulerConsts[1], latentShape, this.tvm, this.device, this.vm);
-      unetNumSteps = this.schedulerConsts[1]["num_steps"];
-    }
-    const totalNumSteps = unetNumSteps + 2;
+tvmjsGlobalEnv.asyncOnGenerate = async function () {
+  await generate_from_page();
+};
 
-    if (progressCallback !== undefined) {
-      progressCallback("clip", 0, 1, totalNumSteps);
-    }
+tvmjsGlobalEnv.onCancel = function () {
+  localStableDiffusionInst.cancel();
+};
 
-    const embeddings = this.tvm.withNewScope(() => {
-      let posInputIDs = this.tokenize(prompt);
-      let negInputIDs = this.tokenize(negPrompt);
-      const posEmbeddings = this.clipToTextEmbeddings(
-        posInputIDs, this.clipParams);
-      const negEmbeddings = this.clipToTextEmbeddings(
-        negInputIDs, this.clipParams);
-      // maintain new latents
-      return this.tvm.detachFromCurrentScope(
-        this.concatEmbeddings(negEmbeddings, posEmbeddings)
-      );
-    });
-    // use uniform distribution with same variance as normal(0, 1)
-    const scale = Math.sqrt(12) / 2;
-    let latents = this.tvm.detachFromCurrentScope(
-      this.tvm.uniform(latentShape, -scale, scale, this.tvm.webgpu())
-    );
-    this.tvm.endScope();
-
-
-    // const image = this.tvm.withNewScope(() => {
-    //   return this.tvm.detachFromCurrentScope(
-    //     this.vaeToImage(latents, this.vaeParams)
-    //   )
-    // });
-
-    // await this.device.sync();
-
-    //---------------------------
-    // Stage 1: UNet + Scheduler
-    //---------------------------
-    if (vaeCycle != -1) {
-      // show first frame
-      this.tvm.withNewScope(() => {
-        const image = this.vaeToImage(latents, this.vaeParams);
-        this.tvm.showImage(this.imageToRGBA(image));
-      });
-      await this.device.sync();
-    }
-    vaeCycle = vaeCycle == -1 ? unetNumSteps : vaeCycle;
-    let lastSync = undefined;
+tvmjsGlobalEnv.asyncOnDownloadPNG = async function () {
+  await download_png();
+};
 
-    for (let counter = 0; counter < unetNumSteps; ++counter) {
-      if (progressCallback !== undefined) {
-        progressCallback("unet", counter, unetNumSteps, totalNumSteps);
-      }
-      const timestep = scheduler.timestep[counter];
-      // recycle noisePred, track latents manually
-      const newLatents = this.tvm.withNewScope(() => {
-        this.tvm.attachToCurrentScope(latents);
-        const noisePred = this.unetLatentsToNoisePred(
-          latents, timestep, embeddings, this.unetParams);
-        // maintain new latents
-        return this.tvm.detachFromCurrentScope(
-          scheduler.step(noisePred, latents, counter)
-        );
-      });
-      latents = newLatents;
-      // use skip one sync, although likely not as useful.
-      if (lastSync !== undefined) {
-        await lastSync;
-      }
-      // async event checker
-      lastSync = this.device.sync();
-
-      // Optionally, we can draw intermediate result of VAE.
-      if ((counter + 1) % vaeCycle == 0 &&
-        (counter + 1) != unetNumSteps &&
-        counter >= beginRenderVae) {
-        this.tvm.withNewScope(() => {
-          const image = this.vaeToImage(latents, this.vaeParams);
-          this.tvm.showImage(this.imageToRGBA(image));
-        });
-        await this.device.sync();
-      }
-    }
-    scheduler.dispose();
-    embeddings.dispose();
-
-    await this.device.sync();
-    
-    // allocate a gpu arr and async copy to it.
-    const cpu_arr = this.tvm.withNewScope(() => {
-      return this.tvm.detachFromCurrentScope(
-        this.tvm.empty(latents.shape, latents.dtype, this.tvm.cpu(0))
-      )
-    });
-    console.log("empty arr" + cpu_arr.toArray());
-
-    cpu_arr.copyFrom(latents);
-    await this.tvm.webgpu().sync();
-
-    console.log("final latents" + cpu_arr.toArray());
-
-
-    //-----------------------------
-    // Stage 2: VAE and draw image
-    //-----------------------------
-    if (progressCallback !== undefined) {
-      progressCallback("vae", 0, 1, totalNumSteps);
-    }
-    this.tvm.withNewScope(() => {
-      const image = this.vaeToImage(latents, this.vaeParams);
-      this.tvm.showImage(this.imageToRGBA(image));
-    });
-    latents.dispose();
-    await this.device.sync();
-    if (progressCallback !== undefined) {
-      progressCallback("vae", 1, 1, totalNumSteps);
-    }
-  }
+/**
+ * Diff the compiled schedulers of the selected model against their
+ * JS references, with the constants computed for the default number
+ * of steps, run from the console.
+ *
+ * @returns The comparison result of each scheduler.
+ */
+tvmjsGlobalEnv.asyncOnCompareSchedulers = async function () {
+  await localStableDiffusionInst.asyncInit();
+  const pipeline = localStableDiffusionInst.pipeline;
+  const [width, height] = pipeline.constructor.defaultImageSize;
+  const results = {};
+  for (const entry of getSchedulersForModel(pipeline.modelName)) {
+    if (referenceSchedulers[entry.name] === undefined) {
+      log_to_page("Scheduler " + entry.name + ": no JS reference, skipped");
+      continue;
+    }
+    const result = await compareSchedulerWithReference(
+      pipeline.tvm, pipeline.vm, pipeline.device, pipeline.modelName, entry.name,
+      pipeline.schedulerConsts[entry.name],
+      { latentShape: pipeline.getLatentShape(width, height) });
+    log_to_page(
+      "Scheduler " + entry.name + ": max abs diff to the JS reference is " +
+      result.maxAbsDiff.toExponential(3));
+    results[entry.name] = result;
+  }
+  return results;
+};
 
-  clearCanvas() {
-    this.tvm.clearCanvas();
-  }
+tvmjsGlobalEnv.asyncOnRPCServerLoad = async function (tvm) {
+  const inst = new StableDiffusionInstance({
+    ...pageOptions,
+    onRPCPrompt: (prompt, negPrompt) => {
+      document.getElementById("inputPrompt").value = prompt;
+      document.getElementById("negativePrompt").value = negPrompt;
+    },
+  });
+  await inst.asyncInitOnRPCServerLoad(tvm);
 };
 
-class DiffusionXLPipeline {
-  constructor(tvm, tokenizer1, tokenizer2, schedulerConsts, cacheMetadata) {
-    if (cacheMetadata == undefined) {
-      throw Error("Expect cacheMetadata");
-    }
-    this.tvm = tvm;
-    this.tokenizer1 = tokenizer1;
-    this.tokenizer2 = tokenizer2;
-    this.maxTokenLength = 77;
-
-    this.device = this.tvm.webgpu();
-    this.tvm.bindCanvas(document.getElementById("canvas"));
-    // VM functions
-    this.vm = this.tvm.detachFromCurrentScope(
-      this.tvm.createVirtualMachine(this.device)
-    );
-
-    this.schedulerConsts = schedulerConsts;
-    this.clipToTextEmbeddings1 = this.tvm.detachFromCurrentScope(
-      this.vm.getFunction("clip")
-    );
-    this.clipParams1 = this.tvm.detachFromCurrentScope(
-      this.tvm.getParamsFromCache("clip", cacheMetadata.clipParamSize)
-    );
-    this.clipToTextEmbeddings2 = this.tvm.detachFromCurrentScope(
-      this.vm.getFunction("clip2")
-    );
-    this.clipParams2 = this.tvm.detachFromCurrentScope(
-      this.tvm.getParamsFromCache("clip2", cacheMetadata.clip2ParamSize)
-    );
-    this.unetLatentsToNoisePred = this.tvm.detachFromCurrentScope(
-      this.vm.getFunction("unet")
-    );
-    this.unetParams = this.tvm.detachFromCurrentScope(
-      this.tvm.getParamsFromCache("unet", cacheMetadata.unetParamSize)
-    );
-    this.vaeToImage = this.tvm.detachFromCurrentScope(
-      this.vm.getFunction("vae")
-    );
-    this.vaeParams = this.tvm.detachFromCurrentScope(
-      this.tvm.getParamsFromCache("vae", cacheMetadata.vaeParamSize)
-    );
-    this.imageToRGBA = this.tvm.detachFromCurrentScope(
-      this.vm.getFunction("image_to_rgba")
-    );
-    this.concatEmbeddings = this.tvm.detachFromCurrentScope(
-      this.vm.getFunction("concat_embeddings")
-    );
-    this.concatPoolEmbeddings = this.tvm.detachFromCurrentScope(
-      this.vm.getFunction("concat_pool_embeddings")
-    );
-    this.catLatents = this.tvm.detachFromCurrentScope(
-      this.vm.getFunction("cat_latents")
-    );
-    this.concatEncoderOutputs = this.tvm.detachFromCurrentScope(
-      this.vm.getFunction("concat_enocder_outputs")
-    );
+/**
+ * Build the scheduler dropdown from the schedulers supported by the model.
+ * The selected scheduler and its steps are kept when it is still supported.
+ * @param model The name of the model.
+ * @param pipeline The loaded pipeline of the model, to only offer the
+ * schedulers its model library contains.
+ */
+function update_scheduler_options(model, pipeline = undefined) {
+  var e = document.getElementById("schedulerId");
+  const selected = e.value;
+  const entries = pipeline !== undefined ?
+    pipeline.getSupportedSchedulers() : getSchedulersForModel(model);
+  e.innerHTML = "";
+  for (const entry of entries) {
+    const option = document.createElement("option");
+    option.value = entry.name;
+    option.textContent = entry.label;
+    e.appendChild(option);
+  }
+  if (entries.some((entry) => entry.name == selected)) {
+    e.value = selected;
+  } else {
+    update_num_steps();
+  }
+}
 
+/**
+ * Reset the steps input to the default number of steps of the selected scheduler.
+ */
+function update_num_steps() {
+  const model = document.getElementById("modelId").value;
+  const schedulerName = document.getElementById("schedulerId").value;
+  const entry = getSchedulersForModel(model).find((item) => item.name == schedulerName);
+  if (entry !== undefined) {
+    document.getElementById("numSteps").value = entry.defaultNumSteps;
   }
+}
 
-  dispose() {
-    // note: tvm instance is not owned by this class
-    this.concatEmbeddings.dispose();
-    this.imageToRGBA.dispose()
-    this.concatPoolEmbeddings.dispose();
-    this.catLatents.dispose();
-    this.concatEncoderOutputs.dispose();
-    this.vaeParams.dispose();
-    this.vaeToImage.dispose();
-    this.unetParams.dispose();
-    this.unetLatentsToNoisePred.dispose();
-    this.clipParams1.dispose();
-    this.clipToTextEmbeddings1.dispose();
-    this.clipParams2.dispose();
-    this.clipToTextEmbeddings2.dispose();
-    this.vm.dispose();
+/**
+ * Reset the image size inputs to the default size of the model.
+ * @param model The name of the model.
+ */
+function update_image_size(model) {
+  const pipelineClass = model == "Stable-Diffusion-XL" ?
+    DiffusionXLPipeline : StableDiffusionPipeline;
+  document.getElementById("imageWidth").value = pipelineClass.defaultImageSize[0];
+  document.getElementById("imageHeight").value = pipelineClass.defaultImageSize[1];
+}
+
+function handle_model_change() {
+  var e = document.getElementById("modelId");
+  function onChange() {
+    localStableDiffusionInst.selectModel(e.value);
+    localStableDiffusionInst.logger("model changed to " + e.value)
+    update_scheduler_options(e.value);
+    update_image_size(e.value);
   }
+  e.onchange = onChange;
+}
 
-  tokenize(prompt, tokenizer) {
-    const encoded = tokenizer.encode(prompt, true).input_ids;
-    const inputIDs = new Int32Array(this.maxTokenLength);
+handle_model_change()
 
-    if (encoded.length < this.maxTokenLength) {
-      inputIDs.set(encoded);
-      const lastTok = encoded[encoded.length - 1];
-      inputIDs.fill(lastTok, encoded.length, inputIDs.length);
+/**
+ * Restore the generation parameters stored in a PNG file to the page.
+ * @param file The PNG file.
+ */
+async function import_png_parameters(file) {
+  const logger = localStableDiffusionInst.logger;
+  let entries;
+  try {
+    entries = await readPNGTextChunks(new Uint8Array(await file.arrayBuffer()));
+  } catch (err) {
+    logger("Cannot import parameters from " + file.name + ", " + err.toString());
+    return;
+  }
+  // fields written by downloadPNG take precedence over the parameters text
+  const params = entries["parameters"] !== undefined ?
+    parseGenerationParameters(entries["parameters"]) : {};
+  const fields = {
+    prompt: "prompt", negPrompt: "negative_prompt", seed: "seed",
+    scheduler: "scheduler", steps: "steps", model: "model", size: "size"
+  };
+  for (const [field, keyword] of Object.entries(fields)) {
+    if (entries[keyword] !== undefined) params[field] = entries[keyword];
+  }
+  if (params.size !== undefined) {
+    [params.width, params.height] = params.size.split("x").map((v) => parseInt(v));
+  }
+  if (params.prompt === undefined) {
+    logger("No generation parameters found in " + file.name);
+    return;
+  }
+
+  const modelSelect = document.getElementById("modelId");
+  if (params.model !== undefined && params.model != modelSelect.value) {
+    if (Array.from(modelSelect.options).some((option) => option.value == params.model)) {
+      if (localStableDiffusionInst.queueRunning) {
+        logger("Queue is running, cannot switch model to " + params.model);
+        return;
+      }
+      modelSelect.value = params.model;
+      modelSelect.onchange();
     } else {
-      inputIDs.set(encoded.slice(0, this.maxTokenLength));
+      logger("Unknown model " + params.model + ", keep the current model");
     }
-    return this.tvm.empty([1, this.maxTokenLength], "int32", this.device).copyFrom(inputIDs);
   }
-
-  async asyncLoadWebGPUPipelines() {
-    await this.tvm.asyncLoadWebGPUPipelines(this.vm.getInternalModule());
+  document.getElementById("inputPrompt").value = params.prompt;
+  document.getElementById("negativePrompt").value =
+    params.negPrompt !== undefined ? params.negPrompt : "";
+  // refresh the token counts
+  for (const id of ["inputPrompt", "negativePrompt"]) {
+    document.getElementById(id).dispatchEvent(new Event("input"));
   }
-
-  async generate(
-    prompt,
-    negPrompt = "",
-    progressCallback = undefined,
-    schedulerId = 0,
-    vaeCycle = -1,
-    beginRenderVae = 10
-  ) {
-    this.tvm.beginScope();
-    // get latents
-    const latentShape = [1, 4, 128, 128];
-
-    var unetNumSteps;
-    if (schedulerId == 2) {
-      scheduler = new EulerDiscreteScheduler(
-        this.schedulerConsts[2], latentShape, this.tvm, this.device, this.vm);
-      unetNumSteps = this.schedulerConsts[2]["num_steps"];
+  if (params.seed !== undefined) {
+    document.getElementById("seed").value = params.seed;
+  }
+  if (params.width !== undefined && params.height !== undefined &&
+    !isNaN(params.width) && !isNaN(params.height)) {
+    document.getElementById("imageWidth").value = params.width;
+    document.getElementById("imageHeight").value = params.height;
+  }
+  if (params.scheduler !== undefined) {
+    const schedulerSelect = document.getElementById("schedulerId");
+    if (Array.from(schedulerSelect.options).some((option) => option.value == params.scheduler)) {
+      schedulerSelect.value = params.scheduler;
     } else {
-      //raise error
-      throw Error("not supported scheduler");
-    }
-    const totalNumSteps = unetNumSteps + 2;
-
-    if (progressCallback !== undefined) {
-      progressCallback("clip", 0, 1, totalNumSteps);
-    }
-
-    const [embeddings, pool_embeddings] = this.tvm.withNewScope(() => {
-      let posInputIDs1 = this.tokenize(prompt, this.tokenizer1);
-      let posInputIDs2 = this.tokenize(prompt, this.tokenizer2);
-      const posEmbeddings1 = this.clipToTextEmbeddings1(
-        posInputIDs1, this.clipParams1).get(0);
-      const posTemp = this.clipToTextEmbeddings2(
-        posInputIDs2, this.clipParams2);
-      const posEmbeddings2 = posTemp.get(0);
-      const poolPosEmbeddings = posTemp.get(1);
-
-      let negInputIDs1 = this.tokenize(negPrompt, this.tokenizer1);
-      let negInputIDs2 = this.tokenize(negPrompt, this.tokenizer2);
-      const negEmbeddings1 = this.clipToTextEmbeddings1(
-        negInputIDs1, this.clipParams1).get(0);
-      const negTemp = this.clipToTextEmbeddings2(
-        negInputIDs2, this.clipParams2);
-      const negEmbeddings2 = negTemp.get(0);
-      const poolNegEmbeddings = negTemp.get(1);
-      console.log("posEmbeddings1")
-      console.log(posEmbeddings1)
-      const posEmbeddings = this.concatEncoderOutputs(posEmbeddings1, posEmbeddings2);
-      const negEmbeddings = this.concatEncoderOutputs(negEmbeddings1, negEmbeddings2);
-
-      // maintain new latents
-      //TODO: zero out embeddings when negPrompt is empty
-      return [this.tvm.detachFromCurrentScope(
-        this.concatEmbeddings(negEmbeddings, posEmbeddings)
-      ),
-      this.tvm.detachFromCurrentScope(
-        this.concatPoolEmbeddings(poolNegEmbeddings, poolPosEmbeddings)
-      )
-      ];
-    });
-    // use uniform distribution with same variance as normal(0, 1)
-    const scale = Math.sqrt(12) / 2 * 13.1585;
-    let latents = this.tvm.detachFromCurrentScope(
-      this.tvm.uniform(latentShape, -scale, scale, this.tvm.webgpu())
-    );
-    this.tvm.endScope();
-    //---------------------------
-    // Stage 1: UNet + Scheduler
-    //---------------------------
-    if (vaeCycle != -1) {
-      // show first frame
-      this.tvm.withNewScope(() => {
-        const image = this.vaeToImage(latents, this.vaeParams);
-        this.tvm.showImage(this.imageToRGBA(image));
-      });
-      await this.device.sync();
-    }
-    vaeCycle = vaeCycle == -1 ? unetNumSteps : vaeCycle;
-    let lastSync = undefined;
-
-    for (let counter = 0; counter < unetNumSteps; ++counter) {
-      if (progressCallback !== undefined) {
-        progressCallback("unet", counter, unetNumSteps, totalNumSteps);
-      }
-      const timestep = scheduler.timestep[counter];
-      // recycle noisePred, track latents manually
-      const newLatents = this.tvm.withNewScope(() => {
-        this.tvm.attachToCurrentScope(latents);
-        const latent_model_input = this.catLatents(latents);
-        const scaled_latent_model_input = scheduler.scaleModelInput(latent_model_input, counter)
-        const array_id = [1024., 1024., 0., 0., 1024., 1024., 1024., 1024., 0., 0., 1024., 1024.]
-        let add_time_ids = this.tvm.empty([2, 6], "float32", this.tvm.webgpu()).copyFrom(array_id);
-        const noisePred = this.unetLatentsToNoisePred(
-          scaled_latent_model_input, timestep, embeddings, 
-            pool_embeddings, add_time_ids, this.unetParams);
-        // maintain new latents
-        return this.tvm.detachFromCurrentScope(
-          scheduler.step(noisePred, latents, counter)
-        );
-      });
-      latents = newLatents;
-      // use skip one sync, although likely not as useful.
-      if (lastSync !== undefined) {
-        await lastSync;
-      }
-      // async event checker
-      lastSync = this.device.sync();
-
-      // Optionally, we can draw intermediate result of VAE.
-      if ((counter + 1) % vaeCycle == 0 &&
-        (counter + 1) != unetNumSteps &&
-        counter >= beginRenderVae) {
-        this.tvm.withNewScope(() => {
-          const image = this.vaeToImage(latents, this.vaeParams);
-          this.tvm.showImage(this.imageToRGBA(image));
-        });
-        await this.device.sync();
-      }
-    }
-    scheduler.dispose();
-    embeddings.dispose();
-    //-----------------------------
-    // Stage 2: VAE and draw image
-    //-----------------------------
-    if (progressCallback !== undefined) {
-      progressCallback("vae", 0, 1, totalNumSteps);
-    }
-    this.tvm.withNewScope(() => {
-      const image = this.vaeToImage(latents, this.vaeParams);
-      this.tvm.showImage(this.imageToRGBA(image));
-    });
-    latents.dispose();
-    await this.device.sync();
-    if (progressCallback !== undefined) {
-      progressCallback("vae", 1, 1, totalNumSteps);
+      logger("Scheduler " + params.scheduler + " is not available, keep the current scheduler");
     }
   }
-
-  clearCanvas() {
-    this.tvm.clearCanvas();
+  const numSteps = parseInt(params.steps);
+  if (!isNaN(numSteps)) {
+    document.getElementById("numSteps").value = numSteps;
   }
-};
+  logger("Imported generation parameters from " + file.name);
+}
 
 /**
- * A instance that can be used to facilitate deployment.
+ * Import the generation parameters from PNG files dropped on the page.
  */
-class StableDiffusionInstance {
-  constructor() {
-    this.tvm = undefined;
-    this.pipeline = undefined;
-    this.config = undefined;
-    this.generateInProgress = false;
-    this.logger = console.log;
-    this.model = "Stable-Diffusion-XL"
-  }
-  /**
-   * Initialize TVM
-   * @param wasmUrl URL to wasm source.
-   * @param cacheUrl URL to NDArray cache.
-   * @param logger Custom logger.
-   */
-  async #asyncInitTVM(wasmUrl, cacheUrl) {
-    if (this.tvm !== undefined) {
+function handle_png_drop() {
+  window.addEventListener("dragover", (event) => {
+    event.preventDefault();
+  });
+  window.addEventListener("drop", async (event) => {
+    event.preventDefault();
+    const file = event.dataTransfer.files[0];
+    if (file === undefined) return;
+    if (file.type != "image/png") {
+      localStableDiffusionInst.logger("Only PNG files can be imported, get " + file.name);
       return;
     }
+    await import_png_parameters(file);
+  });
+}
 
-    if (document.getElementById("log") !== undefined) {
-      this.logger = function (message) {
-        console.log(message);
-        const d = document.createElement("div");
-        d.innerHTML = message;
-        document.getElementById("log").appendChild(d);
-      };
-    }
-
-    const wasmSource = await (
-      await fetch(wasmUrl)
-    ).arrayBuffer();
-    const tvm = await tvmjs.instantiate(
-      new Uint8Array(wasmSource),
-      new EmccWASI(),
-      this.logger
-    );
-    // initialize WebGPU
-    try {
-      const output = await tvmjs.detectGPUDevice();
-      if (output !== undefined) {
-        var label = "WebGPU";
-        if (output.adapterInfo.description.length != 0) {
-          label += " - " + output.adapterInfo.description;
-        } else {
-          label += " - " + output.adapterInfo.vendor;
-        }
-        document.getElementById(
-          "gpu-tracker-label").innerHTML = ("Initialize GPU device: " + label);
-        tvm.initWebGPU(output.device);
-      } else {
-        document.getElementById(
-          "gpu-tracker-label").innerHTML = "This browser env do not support WebGPU";
-        this.reset();
-        throw Error("This browser env do not support WebGPU");
-      }
-    } catch (err) {
-      document.getElementById("gpu-tracker-label").innerHTML = (
-        "Find an error initializing the WebGPU device " + err.toString()
-      );
-      console.log(err.stack);
-      this.reset();
-      throw Error("Find an error initializing WebGPU: " + err.toString());
-    }
-
-    this.tvm = tvm;
-    function initProgressCallback(report) {
-      document.getElementById("progress-tracker-label").innerHTML = report.text;
-      document.getElementById("progress-tracker-progress").value = report.progress * 100;
-    }
-    tvm.registerInitProgressCallback(initProgressCallback);
-    if (!cacheUrl.startsWith("http")) {
-      cacheUrl = new URL(cacheUrl, document.URL).href;
-    }
-    await tvm.fetchNDArrayCache(cacheUrl, tvm.webgpu());
-  }
-
-  /**
-   * Initialize the pipeline
-   *
-   * @param schedulerConstUrl The scheduler constant.
-   * @param tokenizerName The name of the tokenizer.
-   */
-  async #asyncInitPipeline(schedulerConstUrl, tokenizerName, tokenizerName2) {
-    if (this.tvm == undefined) {
-      throw Error("asyncInitTVM is not called");
-    }
-    if (this.pipeline !== undefined) return;
-    var schedulerConst = []
-    for (let i = 0; i < schedulerConstUrl.length; ++i) {
-      schedulerConst.push(await (await fetch(schedulerConstUrl[i])).json())
-    }
-    if (this.model == "Stable-Diffusion-XL") {
-      const tokenizer1 = await tvmjsGlobalEnv.getTokenizer(tokenizerName);
-      const tokenizer2 = await tvmjsGlobalEnv.getTokenizer(tokenizerName2);
-      this.pipeline = this.tvm.withNewScope(() => {
-        return new DiffusionXLPipeline(this.tvm, tokenizer1, tokenizer2, schedulerConst, this.tvm.cacheMetadata);
-      });
-      await this.pipeline.asyncLoadWebGPUPipelines();
-    }
-    else {
-      console.log("entered SD pipeline")
-      const tokenizer = await tvmjsGlobalEnv.getTokenizer(tokenizerName);
-      this.pipeline = this.tvm.withNewScope(() => {
-        return new StableDiffusionPipeline(this.tvm, tokenizer, schedulerConst, this.tvm.cacheMetadata);
-      });
-      await this.pipeline.asyncLoadWebGPUPipelines();
-    }
-  }
-
-  /**
-   * Async initialize config
-   */
-  async #asyncInitConfig() {
-    if (this.config !== undefined) return;
-    this.config = await (await fetch("stable-diffusion-config.json")).json();
-  
-    var model_param_url = undefined;
-    var model_lib_url = undefined;
-    if (this.config.model_lib_map[this.model] !== undefined) {
-      model_param_url = this.config.param_dict[this.model];
-      model_lib_url = this.config.model_lib_map[this.model];
-    }
-    else{
-      throw Error("Model not found");
-    }
-    this.config.wasmUrl = model_lib_url;
-    this.config.cacheUrl = model_param_url;
-  }
-
-  /**
-   * Function to create progress callback tracker.
-   * @returns A progress callback tracker.
-   */
-  #getProgressCallback() {
-    const tstart = performance.now();
-    function progressCallback(stage, counter, numSteps, totalNumSteps) {
-      const timeElapsed = (performance.now() - tstart) / 1000;
-      let text = "Generating ... at stage " + stage;
-      if (stage == "unet") {
-        counter += 1;
-        text += " step [" + counter + "/" + numSteps + "]"
+/**
+ * Show a live token count next to the prompt inputs,
+ * with the text of the tokens past the limit highlighted.
+ */
+function handle_token_counter() {
+  for (const id of ["inputPrompt", "negativePrompt"]) {
+    const input = document.getElementById(id);
+    const label = document.getElementById(id + "-token-count");
+    // drop the results of outdated inputs
+    let version = 0;
+    async function update() {
+      const current = ++version;
+      let info = undefined;
+      try {
+        info = await localStableDiffusionInst.asyncCountPromptTokens(input.value);
+      } catch (err) {
+        console.log("Cannot count the prompt tokens, " + err.toString());
+        return;
       }
-      if (stage == "vae") {
-        counter = totalNumSteps;
+      if (current != version) return;
+      label.textContent = info.count + "/" + info.limit + " tokens";
+      label.style.color = info.count > info.limit ? "red" : "";
+      if (info.overflow.length != 0) {
+        const mark = document.createElement("mark");
+        mark.textContent = info.overflow;
+        label.append(", truncated: ", mark);
       }
-      text += ", " + Math.ceil(timeElapsed) + " secs elapsed.";
-      document.getElementById("progress-tracker-label").innerHTML = text;
-      document.getElementById("progress-tracker-progress").value = (counter / totalNumSteps) * 100;
     }
-    return progressCallback;
-  }
-
-  /**
-   * Async initialize instance.
-   */
-  async asyncInit() {
-    if (this.pipeline !== undefined) return;
-    await this.#asyncInitConfig();
-    await this.#asyncInitTVM(this.config.wasmUrl, this.config.cacheUrl);
-    await this.#asyncInitPipeline(this.config.schedulerConstUrl, this.config.tokenizer, this.config.tokenizer2);
+    input.addEventListener("input", update);
+    update();
   }
+}
 
-  /**
-   * Async initialize
-   *
-   * @param tvm The tvm instance.
-   */
-  async asyncInitOnRPCServerLoad(tvmInstance) {
-    if (this.tvm !== undefined) {
-      throw Error("Cannot reuse a loaded instance for rpc");
+/**
+ * Refresh the cache manager panel whenever it is opened.
+ */
+function handle_cache_panel() {
+  const details = document.getElementById("cacheDetails");
+  details.addEventListener("toggle", () => {
+    if (details.open) {
+      refresh_cache_panel().catch((err) => {
+        localStableDiffusionInst.logger("Cannot inspect the model cache, " + err.toString());
+      });
     }
-    this.tvm = tvmInstance;
-
-    this.tvm.beginScope();
-    this.tvm.registerAsyncServerFunc("generate", async (prompt, schedulerId, vaeCycle) => {
-      document.getElementById("inputPrompt").value = prompt;
-      const negPrompt = "";
-      document.getElementById("negativePrompt").value = "";
-      await this.pipeline.generate(prompt, negPrompt, this.#getProgressCallback(), schedulerId, vaeCycle);
-    });
-    this.tvm.registerAsyncServerFunc("clearCanvas", async () => {
-      this.tvm.clearCanvas();
-    });
-    this.tvm.registerAsyncServerFunc("showImage", async (data) => {
-      this.tvm.showImage(data);
-    });
-    this.tvm.endScope();
-  }
+  });
+}
 
-  /**
-   * Run generate
-   */
-  async generate() {
-    if (this.requestInProgress) {
-      this.logger("Request in progress, generate request ignored");
-      return;
-    }
-    this.requestInProgress = true;
-    try {
-      await this.asyncInit();
-      const prompt = document.getElementById("inputPrompt").value;
-      const negPrompt = document.getElementById("negativePrompt").value;
-      const schedulerId = document.getElementById("schedulerId").value;
-      const vaeCycle = document.getElementById("vaeCycle").value;
-      await this.pipeline.generate(prompt, negPrompt, this.#getProgressCallback(), schedulerId, vaeCycle);
-    } catch (err) {
-      this.logger("Generate error, " + err.toString());
-      console.log(err.stack);
-      this.reset();
-    }
-    this.requestInProgress = false;
-  }
+/**
+ * Update the controls to what the model library of the loaded model supports.
+ * @param pipeline The pipeline of the selected model.
+ */
+function update_model_controls(pipeline) {
+  // another model may be selected while this one loads
+  if (pipeline.modelName != document.getElementById("modelId").value) return;
+  update_scheduler_options(pipeline.modelName, pipeline);
+  update_inpainting_controls(pipeline);
+}
 
-  /**
-   * Reset the instance;
-   */
-  reset() {
-    if (this.pipeline !== undefined) {
-      this.pipeline.dispose();
-    }
-    this.pipeline = undefined;
-    if (this.tvm !== undefined) {
-      this.tvm.dispose();
-      this.tvm = undefined;
-    }
-    this.config = undefined;
+/**
+ * Disable the inpainting controls when the model library does not support inpainting.
+ * @param pipeline The pipeline of the selected model.
+ */
+function update_inpainting_controls(pipeline) {
+  const maskEnabled = document.getElementById("maskEnabled");
+  maskEnabled.disabled = pipeline.maskedBlend === undefined;
+  if (maskEnabled.disabled && maskEnabled.checked) {
+    maskEnabled.checked = false;
+    // hide the mask overlay
+    maskEnabled.dispatchEvent(new Event("change"));
   }
 }
 
-localStableDiffusionInst = new StableDiffusionInstance();
-
-tvmjsGlobalEnv.asyncOnGenerate = async function () {
-  await localStableDiffusionInst.generate();
-};
-
-tvmjsGlobalEnv.asyncOnRPCServerLoad = async function (tvm) {
-  const inst = new StableDiffusionInstance();
-  await inst.asyncInitOnRPCServerLoad(tvm);
-};
-
-function handle_model_change() {
-  var e = document.getElementById("modelId");
-  function onChange() {
-    localStableDiffusionInst.reset();
-    localStableDiffusionInst.model = e.value;
-    localStableDiffusionInst.logger("model changed to " + e.value)
-  }
-  e.onchange = onChange;
+/**
+ * Paint the inpainting mask on the overlay of the canvas.
+ */
+function handle_mask_painting() {
+  var maskCanvas = document.getElementById("maskCanvas");
+  var ctx = maskCanvas.getContext("2d");
+  var painting = false;
+  function paint(event) {
+    if (!painting) return;
+    const rect = maskCanvas.getBoundingClientRect();
+    const x = (event.clientX - rect.left) * maskCanvas.width / rect.width;
+    const y = (event.clientY - rect.top) * maskCanvas.height / rect.height;
+    const radius = parseInt(document.getElementById("maskBrushSize").value);
+    ctx.fillStyle = "rgba(255, 0, 0, 0.5)";
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, 2 * Math.PI);
+    ctx.fill();
+  }
+  maskCanvas.addEventListener("pointerdown", (event) => {
+    painting = true;
+    paint(event);
+  });
+  maskCanvas.addEventListener("pointermove", paint);
+  maskCanvas.addEventListener("pointerup", () => { painting = false; });
+  maskCanvas.addEventListener("pointerleave", () => { painting = false; });
+
+  // show the init image under the mask while painting,
+  // without one the transparent overlay shows the image on the canvas
+  var overlayUrl = undefined;
+  function updateOverlay() {
+    const enabled = document.getElementById("maskEnabled").checked;
+    const file = document.getElementById("initImage").files[0];
+    if (overlayUrl !== undefined) {
+      URL.revokeObjectURL(overlayUrl);
+      overlayUrl = undefined;
+    }
+    if (enabled && file !== undefined) {
+      overlayUrl = URL.createObjectURL(file);
+    }
+    maskCanvas.style.display = enabled ? "block" : "none";
+    maskCanvas.style.backgroundImage = overlayUrl !== undefined ?
+      "url(" + overlayUrl + ")" : "none";
+  }
+  document.getElementById("maskEnabled").addEventListener("change", updateOverlay);
+  document.getElementById("initImage").addEventListener("change", updateOverlay);
+  document.getElementById("clearMask").addEventListener("click", () => {
+    ctx.clearRect(0, 0, maskCanvas.width, maskCanvas.height);
+  });
+  updateOverlay();
 }
 
-handle_model_change()
\ No newline at end of file
+// the scheduler dropdown and the canvas are declared after this script in the page
+window.addEventListener("load", () => {
+  update_scheduler_options(document.getElementById("modelId").value);
+  document.getElementById("schedulerId").addEventListener("change", update_num_steps);
+  update_image_size(document.getElementById("modelId").value);
+  handle_mask_painting();
+  handle_png_drop();
+  handle_token_counter();
+  handle_cache_panel();
+});
\ No newline at end of file
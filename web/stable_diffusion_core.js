@@ -0,0 +1,3490 @@
+/**
+ * Pipelines, schedulers and the model instance of web stable diffusion.
+ *
+ * This module does not touch the DOM, the page wiring lives in
+ * stable_diffusion.js, so the pipeline logic also runs in Node.js.
+ */
+
+/**
+ * Deterministic random number generator used for latent initialization.
+ *
+ * We generate noise on the JS side so that a given seed reproduces
+ * the same image regardless of the device random state.
+ */
+export class SeededRandom {
+  /**
+   * @param seed A 32-bit unsigned integer seed.
+   */
+  constructor(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+    this.spareGaussian = undefined;
+  }
+
+  /**
+   * Create a random seed when the user does not specify one.
+   * @returns A 32-bit unsigned integer seed.
+   */
+  static randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+  }
+
+  /**
+   * @returns Next uniform sample in [0, 1) (mulberry32).
+   */
+  nextFloat() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * @returns Next standard normal sample (Box-Muller).
+   */
+  nextGaussian() {
+    if (this.spareGaussian !== undefined) {
+      const value = this.spareGaussian;
+      this.spareGaussian = undefined;
+      return value;
+    }
+    // use 1 - u to avoid log(0)
+    const u1 = 1 - this.nextFloat();
+    const u2 = this.nextFloat();
+    const radius = Math.sqrt(-2 * Math.log(u1));
+    this.spareGaussian = radius * Math.sin(2 * Math.PI * u2);
+    return radius * Math.cos(2 * Math.PI * u2);
+  }
+
+  /**
+   * Draw gaussian noise for an NDArray of the given shape.
+   * @param shape The shape of the noise.
+   * @param scale Standard deviation of the noise.
+   * @returns The noise as Float32Array.
+   */
+  gaussian(shape, scale = 1) {
+    const size = shape.reduce((a, b) => a * b, 1);
+    const output = new Float32Array(size);
+    for (let i = 0; i < size; ++i) {
+      output[i] = this.nextGaussian() * scale;
+    }
+    return output;
+  }
+}
+
+/**
+ * Split a prompt into segments with attention weights.
+ *
+ * Follows the common emphasis syntax: "(text)" multiplies the weight by 1.1,
+ * "[text]" divides it by 1.1, "(text:1.3)" sets an explicit multiplier,
+ * groups can be nested and brackets escaped with a backslash.
+ *
+ * @param prompt The prompt text.
+ * @returns The list of {text, weight} segments.
+ */
+export function parsePromptWeights(prompt) {
+  const pattern = /\\\(|\\\)|\\\[|\\\]|\\\\|\\|\(|\[|:\s*([+-]?[.\d]+)\s*\)|\)|\]|[^\\()\[\]:]+|:/g;
+  const segments = [];
+  const roundBrackets = [];
+  const squareBrackets = [];
+  const multiplyRange = (start, multiplier) => {
+    for (let i = start; i < segments.length; ++i) {
+      segments[i].weight *= multiplier;
+    }
+  };
+  for (const match of prompt.matchAll(pattern)) {
+    const text = match[0];
+    const weight = match[1];
+    if (text.startsWith("\\")) {
+      segments.push({ text: text.length > 1 ? text.slice(1) : text, weight: 1 });
+    } else if (text == "(") {
+      roundBrackets.push(segments.length);
+    } else if (text == "[") {
+      squareBrackets.push(segments.length);
+    } else if (weight !== undefined && roundBrackets.length != 0 && !isNaN(parseFloat(weight))) {
+      multiplyRange(roundBrackets.pop(), parseFloat(weight));
+    } else if (text == ")" && roundBrackets.length != 0) {
+      multiplyRange(roundBrackets.pop(), 1.1);
+    } else if (text == "]" && squareBrackets.length != 0) {
+      multiplyRange(squareBrackets.pop(), 1 / 1.1);
+    } else {
+      segments.push({ text: text, weight: 1 });
+    }
+  }
+  // unclosed brackets still apply to the rest of the prompt
+  for (const start of roundBrackets) {
+    multiplyRange(start, 1.1);
+  }
+  for (const start of squareBrackets) {
+    multiplyRange(start, 1 / 1.1);
+  }
+  // merge neighbouring segments with the same weight
+  const merged = [];
+  for (const segment of segments) {
+    const last = merged[merged.length - 1];
+    if (last !== undefined && last.weight == segment.weight) {
+      last.text += segment.text;
+    } else {
+      merged.push(segment);
+    }
+  }
+  return merged.length != 0 ? merged : [{ text: "", weight: 1 }];
+}
+
+/**
+ * Tokenize the segments of a weighted prompt.
+ *
+ * @param prompt The prompt text.
+ * @param tokenizer The tokenizer to use.
+ * @returns The prompt tokens, without the begin and end tokens, and their weights.
+ */
+export function tokenizeWeightedPrompt(prompt, tokenizer) {
+  const tokens = [];
+  const weights = [];
+  for (const segment of parsePromptWeights(prompt)) {
+    for (const token of tokenizer.encode(segment.text, false).input_ids) {
+      tokens.push(token);
+      weights.push(segment.weight);
+    }
+  }
+  return { tokens: tokens, weights: weights };
+}
+
+/**
+ * CRC32 table of the PNG chunk checksum.
+ */
+const pngCRCTable = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; ++n) {
+    let c = n;
+    for (let k = 0; k < 8; ++k) {
+      c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const pngSignature = [137, 80, 78, 71, 13, 10, 26, 10];
+
+/**
+ * @param bytes The bytes to checksum.
+ * @returns The CRC32 of bytes.
+ */
+function pngCRC32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; ++i) {
+    crc = pngCRCTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Encode a PNG text chunk, tEXt when the text is Latin-1,
+ * otherwise uncompressed UTF-8 iTXt.
+ *
+ * @param keyword The keyword of the chunk.
+ * @param text The text of the chunk.
+ * @returns The chunk bytes, including length and CRC.
+ */
+function encodePNGTextChunk(keyword, text) {
+  const isLatin1 = Array.from(text).every((c) => c.charCodeAt(0) <= 0xFF);
+  const keywordBytes = Array.from(keyword, (c) => c.charCodeAt(0));
+  let type;
+  let data;
+  if (isLatin1) {
+    type = "tEXt";
+    data = keywordBytes.concat([0], Array.from(text, (c) => c.charCodeAt(0)));
+  } else {
+    type = "iTXt";
+    // null separator, no compression, empty language tag and translated keyword
+    data = keywordBytes.concat([0, 0, 0, 0, 0], Array.from(new TextEncoder().encode(text)));
+  }
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  chunk.set(Array.from(type, (c) => c.charCodeAt(0)), 4);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, pngCRC32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+/**
+ * Insert text chunks into a PNG file, right after the IHDR chunk.
+ *
+ * @param png The PNG file bytes.
+ * @param entries The text entries, keyed by keyword.
+ * @returns The new PNG file bytes.
+ */
+export function addPNGTextChunks(png, entries) {
+  if (!pngSignature.every((value, i) => png[i] == value)) {
+    throw Error("Not a PNG file");
+  }
+  // signature, IHDR length, type, 13 bytes of data and CRC
+  const ihdrEnd = 8 + 12 + 13;
+  const chunks = Object.entries(entries).map(
+    ([keyword, text]) => encodePNGTextChunk(keyword, String(text)));
+  const size = png.length + chunks.reduce((a, chunk) => a + chunk.length, 0);
+  const output = new Uint8Array(size);
+  output.set(png.subarray(0, ihdrEnd), 0);
+  let offset = ihdrEnd;
+  for (const chunk of chunks) {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  }
+  output.set(png.subarray(ihdrEnd), offset);
+  return output;
+}
+
+/**
+ * Format the generation parameters as the "parameters" text used by
+ * other stable diffusion tools.
+ *
+ * @param image The image returned by pipeline generate.
+ * @returns The parameters text.
+ */
+export function formatGenerationParameters(image) {
+  return image.prompt + "\n" +
+    "Negative prompt: " + image.negPrompt + "\n" +
+    "Steps: " + image.steps + ", Sampler: " + image.scheduler +
+    ", Seed: " + image.seed + ", Size: " + image.width + "x" + image.height +
+    ", Model: " + image.model;
+}
+
+/**
+ * Read the text chunks of a PNG file.
+ *
+ * @param png The PNG file bytes.
+ * @returns The text entries keyed by keyword, from tEXt and iTXt chunks.
+ */
+export async function readPNGTextChunks(png) {
+  if (!pngSignature.every((value, i) => png[i] == value)) {
+    throw Error("Not a PNG file");
+  }
+  const view = new DataView(png.buffer, png.byteOffset, png.byteLength);
+  const latin1 = new TextDecoder("latin1");
+  const utf8 = new TextDecoder("utf-8");
+  const entries = {};
+  let offset = 8;
+  while (offset + 12 <= png.length) {
+    const length = view.getUint32(offset);
+    const type = latin1.decode(png.subarray(offset + 4, offset + 8));
+    const data = png.subarray(offset + 8, offset + 8 + length);
+    offset += 12 + length;
+    if (type == "IEND") break;
+    if (type != "tEXt" && type != "iTXt") continue;
+    const keywordEnd = data.indexOf(0);
+    if (keywordEnd < 0) continue;
+    const keyword = latin1.decode(data.subarray(0, keywordEnd));
+    if (type == "tEXt") {
+      entries[keyword] = latin1.decode(data.subarray(keywordEnd + 1));
+      continue;
+    }
+    // iTXt: compression flag and method, language tag, translated keyword, text
+    const compressed = data[keywordEnd + 1] != 0;
+    const languageEnd = data.indexOf(0, keywordEnd + 3);
+    const translatedEnd = data.indexOf(0, languageEnd + 1);
+    if (languageEnd < 0 || translatedEnd < 0) continue;
+    let text = data.subarray(translatedEnd + 1);
+    if (compressed) {
+      const stream = new Blob([text]).stream().pipeThrough(new DecompressionStream("deflate"));
+      text = new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+    entries[keyword] = utf8.decode(text);
+  }
+  return entries;
+}
+
+/**
+ * Parse the "parameters" text written by formatGenerationParameters
+ * or other stable diffusion tools.
+ *
+ * @param text The parameters text.
+ * @returns The generation parameters, fields that are not found are left out.
+ */
+export function parseGenerationParameters(text) {
+  const lines = text.split("\n");
+  const result = {};
+  // the last line holds the comma separated settings
+  let settings = undefined;
+  if (lines.length > 1 && /^Steps: /.test(lines[lines.length - 1])) {
+    settings = lines.pop();
+  }
+  const negIndex = lines.findIndex((line) => line.startsWith("Negative prompt: "));
+  if (negIndex >= 0) {
+    result.negPrompt = [lines[negIndex].slice("Negative prompt: ".length)]
+      .concat(lines.slice(negIndex + 1)).join("\n");
+    result.prompt = lines.slice(0, negIndex).join("\n");
+  } else {
+    result.prompt = lines.join("\n");
+  }
+  if (settings !== undefined) {
+    for (const item of settings.split(",")) {
+      const sep = item.indexOf(":");
+      if (sep < 0) continue;
+      const key = item.slice(0, sep).trim();
+      const value = item.slice(sep + 1).trim();
+      if (key == "Steps") result.steps = parseInt(value);
+      if (key == "Sampler") result.scheduler = value;
+      if (key == "Seed") result.seed = parseInt(value);
+      if (key == "Model") result.model = value;
+      if (key == "Size") {
+        const [width, height] = value.split("x").map((v) => parseInt(v));
+        result.width = width;
+        result.height = height;
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * The Cache Storage scope where the TVM runtime keeps the fetched model shards.
+ */
+const tvmjsCacheScope = "tvmjs";
+
+/**
+ * @param bytes A number of bytes.
+ * @returns The size in a human readable unit.
+ */
+export function formatBytes(bytes) {
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  let unit = 0;
+  while (bytes >= 1024 && unit < units.length - 1) {
+    bytes /= 1024;
+    ++unit;
+  }
+  return (unit == 0 ? bytes : bytes.toFixed(1)) + " " + units[unit];
+}
+
+/**
+ * Inspect the cached shards of a model.
+ *
+ * The shard sizes come from the cached ndarray-cache.json, so that
+ * multi-GB shards do not need to be read.
+ *
+ * @param cacheUrl The absolute URL of the model NDArray cache.
+ * @returns The number of shards and bytes, in total and in the cache.
+ */
+export async function getModelCacheInfo(cacheUrl) {
+  const cache = await caches.open(tvmjsCacheScope);
+  const info = { numShards: 0, numCachedShards: 0, totalBytes: 0, cachedBytes: 0 };
+  const jsonResponse = await cache.match(new URL("ndarray-cache.json", cacheUrl).href);
+  if (jsonResponse === undefined) {
+    return info;
+  }
+  const records = (await jsonResponse.json()).records;
+  info.numShards = records.length;
+  for (const record of records) {
+    info.totalBytes += record.nbytes;
+    if (await cache.match(new URL(record.dataPath, cacheUrl).href) !== undefined) {
+      info.numCachedShards += 1;
+      info.cachedBytes += record.nbytes;
+    }
+  }
+  return info;
+}
+
+// the header marking a cached shard as verified against its sha256
+const shardHashHeader = "x-shard-sha256";
+const maxShardFetchAttempts = 3;
+
+/**
+ * @param buffer The data to hash.
+ * @returns The hex encoded sha256 of buffer.
+ */
+async function sha256Hex(buffer) {
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", buffer));
+  return Array.from(digest, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Check whether a shard is completely cached.
+ *
+ * Shards stored by the TVM runtime itself are verified once
+ * and marked, so later checks do not read them again.
+ *
+ * @param cache The opened cache.
+ * @param dataUrl The shard URL.
+ * @param record The shard record in ndarray-cache.json.
+ * @returns Whether the shard can be skipped.
+ */
+async function isShardCached(cache, dataUrl, record) {
+  const response = await cache.match(dataUrl);
+  if (response === undefined) return false;
+  if (record.sha256 === undefined) return true;
+  if (response.headers.get(shardHashHeader) == record.sha256) return true;
+  const buffer = await response.arrayBuffer();
+  if (await sha256Hex(buffer) != record.sha256) return false;
+  await cache.put(dataUrl, new Response(buffer, { headers: { [shardHashHeader]: record.sha256 } }));
+  return true;
+}
+
+/**
+ * Fetch a shard into the cache, retrying failed and corrupted downloads.
+ *
+ * @param cache The opened cache.
+ * @param dataUrl The shard URL.
+ * @param record The shard record in ndarray-cache.json.
+ * @param logger Log the retried downloads.
+ */
+async function fetchShardToCache(cache, dataUrl, record, logger) {
+  for (let attempt = 1; ; ++attempt) {
+    try {
+      const response = await fetch(dataUrl);
+      if (!response.ok) {
+        throw Error("HTTP status " + response.status);
+      }
+      const buffer = await response.arrayBuffer();
+      const headers = {};
+      if (record.sha256 !== undefined) {
+        const hash = await sha256Hex(buffer);
+        if (hash != record.sha256) {
+          throw Error("sha256 mismatch, expect " + record.sha256 + " but get " + hash);
+        }
+        headers[shardHashHeader] = hash;
+      }
+      await cache.put(dataUrl, new Response(buffer, { headers: headers }));
+      return;
+    } catch (err) {
+      if (attempt >= maxShardFetchAttempts) {
+        throw Error("Cannot fetch shard " + record.dataPath + " after " +
+          attempt + " attempts, " + err.message);
+      }
+      logger("Fetch shard " + record.dataPath + " again, " + err.message);
+    }
+  }
+}
+
+/**
+ * Get the shard records of a model, caching its ndarray-cache.json.
+ *
+ * @param cacheUrl The absolute URL of the model NDArray cache.
+ * @returns The records of ndarray-cache.json.
+ */
+async function getModelRecords(cacheUrl) {
+  const cache = await caches.open(tvmjsCacheScope);
+  const jsonUrl = new URL("ndarray-cache.json", cacheUrl).href;
+  if (await cache.match(jsonUrl) === undefined) {
+    await cache.add(jsonUrl);
+  }
+  return (await (await cache.match(jsonUrl)).json()).records;
+}
+
+/**
+ * Download the shards of a model into the cache used by the TVM runtime.
+ *
+ * Completely cached shards are skipped, so an interrupted download resumes
+ * where it stopped. Shards with a sha256 in ndarray-cache.json are verified
+ * against it, and fetched again when corrupted.
+ *
+ * @param cacheUrl The absolute URL of the model NDArray cache.
+ * @param progressCallback Called after each shard with a report of
+ * {progress, timeElapsed, text}, like the TVM runtime init progress.
+ * @param logger Log the retried downloads, defaults to console.log.
+ */
+export async function downloadModelToCache(
+  cacheUrl, progressCallback = undefined, logger = console.log) {
+  const tstart = performance.now();
+  const cache = await caches.open(tvmjsCacheScope);
+  const records = await getModelRecords(cacheUrl);
+  let fetchedBytes = 0;
+  for (let i = 0; i < records.length; ++i) {
+    const dataUrl = new URL(records[i].dataPath, cacheUrl).href;
+    let text = "Fetching shard [" + (i + 1) + "/" + records.length + "]";
+    if (await isShardCached(cache, dataUrl, records[i])) {
+      text += ", already cached";
+    } else {
+      await fetchShardToCache(cache, dataUrl, records[i], logger);
+      fetchedBytes += records[i].nbytes;
+    }
+    const timeElapsed = (performance.now() - tstart) / 1000;
+    if (progressCallback !== undefined) {
+      progressCallback({
+        progress: (i + 1) / records.length,
+        timeElapsed: timeElapsed,
+        text: text + ": " + formatBytes(fetchedBytes) + " fetched, " +
+          Math.ceil(timeElapsed) + " secs elapsed."
+      });
+    }
+  }
+}
+
+/**
+ * Delete the cached shards of a model.
+ *
+ * @param cacheUrl The absolute URL of the model NDArray cache.
+ */
+export async function deleteModelFromCache(cacheUrl) {
+  const cache = await caches.open(tvmjsCacheScope);
+  const jsonUrl = new URL("ndarray-cache.json", cacheUrl).href;
+  const jsonResponse = await cache.match(jsonUrl);
+  if (jsonResponse === undefined) {
+    return;
+  }
+  const records = (await jsonResponse.json()).records;
+  for (const record of records) {
+    await cache.delete(new URL(record.dataPath, cacheUrl).href);
+  }
+  await cache.delete(jsonUrl);
+}
+
+/**
+ * Error thrown when a generation is cancelled through its AbortSignal.
+ */
+export class GenerationCancelledError extends Error {
+  constructor() {
+    super("Generation cancelled");
+    this.name = "GenerationCancelledError";
+  }
+}
+
+/**
+ * Error thrown when generate rejects its inputs, before anything is allocated.
+ */
+export class InvalidGenerateOptionsError extends Error {
+  /**
+   * @param err The error of the failed check.
+   */
+  constructor(err) {
+    super(err.message, { cause: err });
+    this.name = "InvalidGenerateOptionsError";
+  }
+}
+
+// The scheduler constants follow compute_const_dict of
+// web_stable_diffusion/trace/scheduler_trace.py, for any number of steps.
+const numTrainTimesteps = 1000;
+
+/**
+ * @returns The cumulative product of the alphas of the scaled linear
+ * beta schedule of the latent diffusion models.
+ */
+function scaledLinearAlphasCumprod() {
+  const betaStart = Math.sqrt(0.00085);
+  const betaEnd = Math.sqrt(0.012);
+  const alphasCumprod = new Float64Array(numTrainTimesteps);
+  let alphaProd = 1;
+  for (let i = 0; i < numTrainTimesteps; ++i) {
+    const beta = (betaStart + (betaEnd - betaStart) * i / (numTrainTimesteps - 1)) ** 2;
+    alphaProd *= 1 - beta;
+    alphasCumprod[i] = alphaProd;
+  }
+  return alphasCumprod;
+}
+
+/**
+ * Evenly spaced timesteps that start from the end of the training
+ * schedule, with the "leading" spacing of diffusers.
+ *
+ * @param numSteps The number of steps.
+ * @returns The timesteps, in descending order.
+ */
+function leadingTimesteps(numSteps) {
+  const stepRatio = Math.floor(numTrainTimesteps / numSteps);
+  const stepsOffset = 1;
+  const timesteps = [];
+  for (let i = numSteps - 1; i >= 0; --i) {
+    timesteps.push(i * stepRatio + stepsOffset);
+  }
+  return timesteps;
+}
+
+/**
+ * Round half to even, like numpy.
+ *
+ * @param value The value to round.
+ * @returns The rounded value.
+ */
+function roundHalfToEven(value) {
+  const rounded = Math.round(value);
+  return rounded - value == 0.5 && rounded % 2 != 0 ? rounded - 1 : rounded;
+}
+
+/**
+ * Wrapper to handle PNDM scheduler
+ */
+export class TVMPNDMScheduler {
+  constructor(schedulerConsts, latentShape, tvm, device, vm) {
+    this.timestep = [];
+    this.sampleCoeff = [];
+    this.alphaDiff = [];
+    this.modelOutputDenomCoeff = [];
+    this.ets = [];
+    this.schedulerFunc = [];
+    this.currSample = undefined;
+    this.tvm = tvm;
+
+    // prebuild constants
+    // principle: always detach for class members
+    // to avoid recycling output scope.
+    function loadConsts(output, dtype, input) {
+      for (let t = 0; t < input.length; ++t) {
+        output.push(
+          tvm.detachFromCurrentScope(
+            tvm.empty([], dtype, device).copyFrom([input[t]])
+          )
+        );
+      }
+    }
+    loadConsts(this.timestep, "int32", schedulerConsts["timesteps"]);
+    loadConsts(this.sampleCoeff, "float32", schedulerConsts["sample_coeff"]);
+    loadConsts(this.alphaDiff, "float32", schedulerConsts["alpha_diff"]);
+    loadConsts(
+      this.modelOutputDenomCoeff, "float32",
+      schedulerConsts["model_output_denom_coeff"]);
+
+    for (let i = 0; i < 4; ++i) {
+      this.ets.push(
+        this.tvm.detachFromCurrentScope(
+          this.tvm.empty(latentShape, "float32", device)
+        )
+      );
+    }
+
+    for (let i = 0; i < 5; ++i) {
+      this.schedulerFunc.push(
+        tvm.detachFromCurrentScope(
+          vm.getFunction("pndm_scheduler_step_" + i.toString())
+        )
+      );
+    }
+  }
+
+  /**
+   * Compute the scheduler constants.
+   *
+   * @param numSteps The number of steps, PNDM runs one more step to warm up.
+   * @returns The scheduler constants.
+   */
+  static computeConsts(numSteps) {
+    const alphasCumprod = scaledLinearAlphasCumprod();
+    const finalAlphaCumprod = alphasCumprod[0];
+    const stepRatio = Math.floor(numTrainTimesteps / numSteps);
+    // the second step repeats the first timestep
+    const leading = leadingTimesteps(numSteps);
+    const timesteps = [...leading.slice(0, 2), ...leading.slice(1)];
+
+    const consts = {
+      num_steps: timesteps.length,
+      timesteps: timesteps,
+      sample_coeff: [],
+      alpha_diff: [],
+      model_output_denom_coeff: [],
+    };
+    for (let i = 0; i < timesteps.length; ++i) {
+      let timestep = timesteps[i];
+      let prevTimestep = timestep - stepRatio;
+      if (i == 1) {
+        prevTimestep = timestep;
+        timestep = timestep + stepRatio;
+      }
+      const alphaProdT = alphasCumprod[timestep];
+      const alphaProdTPrev = prevTimestep >= 0 ? alphasCumprod[prevTimestep] : finalAlphaCumprod;
+      const betaProdT = 1 - alphaProdT;
+      const betaProdTPrev = 1 - alphaProdTPrev;
+      consts.sample_coeff.push(Math.sqrt(alphaProdTPrev / alphaProdT));
+      consts.alpha_diff.push(alphaProdTPrev - alphaProdT);
+      consts.model_output_denom_coeff.push(
+        alphaProdT * Math.sqrt(betaProdTPrev) + Math.sqrt(alphaProdT * betaProdT * alphaProdTPrev));
+    }
+    return consts;
+  }
+
+  dispose() {
+    for (let t = 0; t < this.timestep.length; ++t) {
+      this.timestep[t].dispose();
+      this.sampleCoeff[t].dispose();
+      this.alphaDiff[t].dispose();
+      this.modelOutputDenomCoeff[t].dispose();
+    }
+
+    for (let i = 0; i < this.schedulerFunc.length; ++i) {
+      this.schedulerFunc[i].dispose();
+    }
+
+    if (this.currSample) {
+      this.currSample.dispose();
+    }
+    for (let i = 0; i < this.ets.length; ++i) {
+      this.ets[i].dispose();
+    }
+  }
+
+  step(modelOutput, sample, counter) {
+    // keep running history of last four inputs
+    if (counter != 1) {
+      // the oldest input is released with the step scope
+      this.tvm.attachToCurrentScope(this.ets.shift());
+      this.ets.push(this.tvm.detachFromCurrentScope(
+        modelOutput
+      ));
+    }
+    if (counter == 0) {
+      this.currSample = this.tvm.detachFromCurrentScope(
+        sample
+      );
+    } else if (counter == 1) {
+      sample = this.tvm.attachToCurrentScope(this.currSample);
+      this.currSample = undefined;
+    }
+
+    const findex = counter < 4 ? counter : 4;
+    const prevLatents = this.schedulerFunc[findex](
+      sample,
+      modelOutput,
+      this.sampleCoeff[counter],
+      this.alphaDiff[counter],
+      this.modelOutputDenomCoeff[counter],
+      this.ets[0],
+      this.ets[1],
+      this.ets[2],
+      this.ets[3]
+    );
+    return prevLatents;
+  }
+}
+
+/**
+ * Wrapper to handle multistep DPM-solver scheduler
+ */
+export class TVMDPMSolverMultistepScheduler {
+  constructor(schedulerConsts, latentShape, tvm, device, vm) {
+    this.timestep = [];
+    this.alpha = [];
+    this.sigma = [];
+    this.c0 = [];
+    this.c1 = [];
+    this.c2 = [];
+    this.lastModelOutput = undefined;
+    this.hasLastModelOutput = false;
+    this.convertModelOutputFunc = undefined;
+    this.stepFunc = undefined;
+    this.schedulerConsts = schedulerConsts;
+    this.tvm = tvm;
+
+    // prebuild constants
+    // principle: always detach for class members
+    // to avoid recycling output scope.
+    function loadConsts(output, dtype, input) {
+      for (let t = 0; t < input.length; ++t) {
+        output.push(
+          tvm.detachFromCurrentScope(
+            tvm.empty([], dtype, device).copyFrom([input[t]])
+          )
+        );
+      }
+    }
+    loadConsts(this.timestep, "int32", schedulerConsts["timesteps"]);
+    loadConsts(this.alpha, "float32", schedulerConsts["alpha"]);
+    loadConsts(this.sigma, "float32", schedulerConsts["sigma"]);
+    loadConsts(this.c0, "float32", schedulerConsts["c0"]);
+    loadConsts(this.c1, "float32", schedulerConsts["c1"]);
+    loadConsts(this.c2, "float32", schedulerConsts["c2"]);
+    // the first step runs in first order, which is needed
+    // when the denoising does not start from the first timestep.
+    this.zero = tvm.detachFromCurrentScope(
+      tvm.empty([], "float32", device).copyFrom([0])
+    );
+
+    this.lastModelOutput = this.tvm.detachFromCurrentScope(
+      this.tvm.empty(latentShape, "float32", device)
+    )
+    this.convertModelOutputFunc = tvm.detachFromCurrentScope(
+      vm.getFunction("dpm_solver_multistep_scheduler_convert_model_output")
+    )
+    this.stepFunc = tvm.detachFromCurrentScope(
+      vm.getFunction("dpm_solver_multistep_scheduler_step")
+    )
+  }
+
+  /**
+   * Compute the scheduler constants.
+   *
+   * @param numSteps The number of steps.
+   * @returns The scheduler constants.
+   */
+  static computeConsts(numSteps) {
+    const alphasCumprod = scaledLinearAlphasCumprod();
+    const alphaT = alphasCumprod.map((value) => Math.sqrt(value));
+    const sigmaT = alphasCumprod.map((value) => Math.sqrt(1 - value));
+    const lambdaT = alphaT.map((value, t) => Math.log(value) - Math.log(sigmaT[t]));
+    // numSteps + 1 points from the last training timestep to 0, without 0
+    const timesteps = [];
+    for (let i = numSteps; i > 0; --i) {
+      timesteps.push(roundHalfToEven(i * ((numTrainTimesteps - 1) / numSteps)));
+    }
+
+    const consts = {
+      num_steps: timesteps.length,
+      timesteps: timesteps,
+      alpha: [],
+      sigma: [],
+      c0: [],
+      c1: [],
+      c2: [],
+    };
+    for (let i = 0; i < timesteps.length; ++i) {
+      const t = i < timesteps.length - 1 ? timesteps[i + 1] : 0;
+      const s0 = timesteps[i];
+      const s1 = i > 0 ? timesteps[i - 1] : undefined;
+      const c1 = alphaT[t] * (Math.exp(-(lambdaT[t] - lambdaT[s0])) - 1);
+      consts.alpha.push(alphaT[s0]);
+      consts.sigma.push(sigmaT[s0]);
+      consts.c0.push(sigmaT[t] / sigmaT[s0]);
+      consts.c1.push(c1);
+      consts.c2.push(
+        i > 0 ? 0.5 * c1 * ((lambdaT[t] - lambdaT[s0]) / (lambdaT[s0] - lambdaT[s1])) : 0);
+    }
+    return consts;
+  }
+
+  dispose() {
+    for (let t = 0; t < this.timestep.length; ++t) {
+      this.timestep[t].dispose();
+      this.alpha[t].dispose();
+      this.sigma[t].dispose();
+      this.c0[t].dispose();
+      this.c1[t].dispose();
+      this.c2[t].dispose();
+    }
+
+    this.zero.dispose();
+    this.lastModelOutput.dispose();
+    this.convertModelOutputFunc.dispose();
+    this.stepFunc.dispose();
+  }
+
+  step(modelOutput, sample, counter) {
+    modelOutput = this.convertModelOutputFunc(sample, modelOutput, this.alpha[counter], this.sigma[counter])
+    const prevLatents = this.stepFunc(
+      sample,
+      modelOutput,
+      this.lastModelOutput,
+      this.c0[counter],
+      this.c1[counter],
+      this.hasLastModelOutput ? this.c2[counter] : this.zero,
+    );
+    // the previous model output is released with the step scope
+    this.tvm.attachToCurrentScope(this.lastModelOutput);
+    this.lastModelOutput = this.tvm.detachFromCurrentScope(
+      modelOutput
+    );
+    this.hasLastModelOutput = true;
+
+    return prevLatents;
+  }
+
+  /**
+   * Get the coefficients to noise clean latents to the timestep of counter,
+   * noisy = sampleCoeff * latents + noiseCoeff * noise.
+   *
+   * @param counter The step counter.
+   * @returns [sampleCoeff, noiseCoeff]
+   */
+  addNoiseCoeff(counter) {
+    return [this.schedulerConsts["alpha"][counter], this.schedulerConsts["sigma"][counter]];
+  }
+}
+
+export class EulerDiscreteScheduler {
+  constructor(schedulerConsts, latentShape, tvm, device, vm) {
+    this.timestep = [];
+    this.sigma = [];
+    this.ScaleModelInputFunc = undefined;
+    this.stepFunc = undefined;
+    this.schedulerConsts = schedulerConsts;
+    this.tvm = tvm;
+
+    // prebuild constants
+    // principle: always detach for class members
+    // to avoid recycling output scope.
+    function loadConsts(output, dtype, input) {
+      for (let t = 0; t < input.length; ++t) {
+        output.push(
+          tvm.detachFromCurrentScope(
+            tvm.empty([], dtype, device).copyFrom([input[t]])
+          )
+        );
+      }
+    }
+    loadConsts(this.timestep, "int32", schedulerConsts["timesteps"]);
+    loadConsts(this.sigma, "float32", schedulerConsts["sigma"]);
+
+    this.ScaleModelInputFunc = tvm.detachFromCurrentScope(
+      vm.getFunction("euler_discrete_scheduler_scale")
+    )
+    this.stepFunc = tvm.detachFromCurrentScope(
+      vm.getFunction("euler_discrete_scheduler_step")
+    )
+  }
+
+  /**
+   * Compute the scheduler constants.
+   *
+   * @param numSteps The number of steps.
+   * @returns The scheduler constants, with one more sigma than timesteps.
+   */
+  static computeConsts(numSteps) {
+    const alphasCumprod = scaledLinearAlphasCumprod();
+    const timesteps = leadingTimesteps(numSteps);
+    const sigma = timesteps.map((t) => Math.sqrt((1 - alphasCumprod[t]) / alphasCumprod[t]));
+    sigma.push(0);
+    return { num_steps: timesteps.length, timesteps: timesteps, sigma: sigma };
+  }
+
+  dispose() {
+    for (let t = 0; t < this.timestep.length; ++t) {
+      this.timestep[t].dispose();
+    }
+    // one more sigma than timesteps, the last one is the final sigma
+    for (let t = 0; t < this.sigma.length; ++t) {
+      this.sigma[t].dispose();
+    }
+
+    this.ScaleModelInputFunc.dispose();
+    this.stepFunc.dispose();
+  }
+
+  step(modelOutput, sample, counter) {
+    const prevLatents = this.stepFunc(
+      sample,
+      modelOutput,
+      this.sigma[counter],
+      this.sigma[counter+1],
+    );
+
+    return prevLatents;
+  }
+
+  scaleModelInput(sample, counter) {
+    const result = this.ScaleModelInputFunc(
+      sample,
+      this.sigma[counter],
+    );
+
+    return result;
+  }
+
+  /**
+   * Get the coefficients to noise clean latents to the timestep of counter,
+   * noisy = sampleCoeff * latents + noiseCoeff * noise.
+   *
+   * @param counter The step counter.
+   * @returns [sampleCoeff, noiseCoeff]
+   */
+  addNoiseCoeff(counter) {
+    return [1, this.schedulerConsts["sigma"][counter]];
+  }
+
+  /**
+   * @returns The standard deviation of the initial noise.
+   */
+  initNoiseSigma() {
+    return Math.sqrt(this.schedulerConsts["sigma"][0] ** 2 + 1);
+  }
+}
+
+/**
+ * Wrapper to handle Euler ancestral scheduler
+ *
+ * Each step adds fresh noise, drawn from the seeded random
+ * generator of the generation so the results are reproducible.
+ */
+export class TVMEulerAncestralScheduler {
+  constructor(schedulerConsts, latentShape, tvm, device, vm, rng) {
+    if (rng === undefined) {
+      throw Error("Euler ancestral scheduler requires a seeded random generator");
+    }
+    this.timestep = [];
+    this.sigma = [];
+    this.sigmaDown = [];
+    this.sigmaUp = [];
+    this.inputScale = [];
+    this.scaleModelInputFunc = undefined;
+    this.stepFunc = undefined;
+    this.schedulerConsts = schedulerConsts;
+    this.latentShape = latentShape;
+    this.tvm = tvm;
+    this.device = device;
+    this.rng = rng;
+
+    // prebuild constants
+    // principle: always detach for class members
+    // to avoid recycling output scope.
+    function loadConsts(output, dtype, input) {
+      for (let t = 0; t < input.length; ++t) {
+        output.push(
+          tvm.detachFromCurrentScope(
+            tvm.empty([], dtype, device).copyFrom([input[t]])
+          )
+        );
+      }
+    }
+    loadConsts(this.timestep, "int32", schedulerConsts["timesteps"]);
+    loadConsts(this.sigma, "float32", schedulerConsts["sigma"]);
+    loadConsts(this.sigmaDown, "float32", schedulerConsts["sigma_down"]);
+    loadConsts(this.sigmaUp, "float32", schedulerConsts["sigma_up"]);
+    loadConsts(this.inputScale, "float32", schedulerConsts["input_scale"]);
+
+    this.scaleModelInputFunc = tvm.detachFromCurrentScope(
+      vm.getFunction("euler_ancestral_scheduler_scale")
+    );
+    this.stepFunc = tvm.detachFromCurrentScope(
+      vm.getFunction("euler_ancestral_scheduler_step")
+    );
+  }
+
+  /**
+   * Compute the scheduler constants.
+   *
+   * @param numSteps The number of steps.
+   * @returns The scheduler constants, with one more sigma than timesteps.
+   */
+  static computeConsts(numSteps) {
+    const consts = EulerDiscreteScheduler.computeConsts(numSteps);
+    const sigma = consts["sigma"];
+    consts.sigma_down = [];
+    consts.sigma_up = [];
+    consts.input_scale = [];
+    for (let i = 0; i < numSteps; ++i) {
+      const sigmaFrom = sigma[i];
+      const sigmaTo = sigma[i + 1];
+      const sigmaUp = Math.sqrt(sigmaTo ** 2 * (sigmaFrom ** 2 - sigmaTo ** 2) / sigmaFrom ** 2);
+      consts.sigma_down.push(Math.sqrt(sigmaTo ** 2 - sigmaUp ** 2));
+      consts.sigma_up.push(sigmaUp);
+      consts.input_scale.push(1 / Math.sqrt(sigmaFrom ** 2 + 1));
+    }
+    consts.init_noise_sigma = Math.sqrt(sigma[0] ** 2 + 1);
+    return consts;
+  }
+
+  dispose() {
+    for (let t = 0; t < this.timestep.length; ++t) {
+      this.timestep[t].dispose();
+      this.sigmaDown[t].dispose();
+      this.sigmaUp[t].dispose();
+      this.inputScale[t].dispose();
+    }
+    // one more sigma than timesteps, the last one is the final sigma
+    for (let t = 0; t < this.sigma.length; ++t) {
+      this.sigma[t].dispose();
+    }
+
+    this.scaleModelInputFunc.dispose();
+    this.stepFunc.dispose();
+  }
+
+  step(modelOutput, sample, counter) {
+    const noise = this.tvm.empty(this.latentShape, "float32", this.device).copyFrom(
+      this.rng.gaussian(this.latentShape)
+    );
+    const prevLatents = this.stepFunc(
+      sample,
+      modelOutput,
+      noise,
+      this.sigma[counter],
+      this.sigmaDown[counter],
+      this.sigmaUp[counter],
+    );
+
+    return prevLatents;
+  }
+
+  scaleModelInput(sample, counter) {
+    return this.scaleModelInputFunc(sample, this.inputScale[counter]);
+  }
+
+  /**
+   * @returns The standard deviation of the initial noise.
+   */
+  initNoiseSigma() {
+    return this.schedulerConsts["init_noise_sigma"];
+  }
+
+  /**
+   * Get the coefficients to noise clean latents to the timestep of counter,
+   * noisy = sampleCoeff * latents + noiseCoeff * noise.
+   *
+   * @param counter The step counter.
+   * @returns [sampleCoeff, noiseCoeff]
+   */
+  addNoiseCoeff(counter) {
+    return [1, this.schedulerConsts["sigma"][counter]];
+  }
+}
+
+/**
+ * Wrapper to handle DDIM scheduler, deterministic (eta = 0).
+ */
+export class TVMDDIMScheduler {
+  constructor(schedulerConsts, latentShape, tvm, device, vm) {
+    this.timestep = [];
+    this.sampleCoeff = [];
+    this.modelOutputCoeff = [];
+    this.stepFunc = undefined;
+    this.schedulerConsts = schedulerConsts;
+
+    // prebuild constants
+    // principle: always detach for class members
+    // to avoid recycling output scope.
+    function loadConsts(output, dtype, input) {
+      for (let t = 0; t < input.length; ++t) {
+        output.push(
+          tvm.detachFromCurrentScope(
+            tvm.empty([], dtype, device).copyFrom([input[t]])
+          )
+        );
+      }
+    }
+    loadConsts(this.timestep, "int32", schedulerConsts["timesteps"]);
+    loadConsts(this.sampleCoeff, "float32", schedulerConsts["sample_coeff"]);
+    loadConsts(this.modelOutputCoeff, "float32", schedulerConsts["model_output_coeff"]);
+
+    this.stepFunc = tvm.detachFromCurrentScope(
+      vm.getFunction("ddim_scheduler_step")
+    );
+  }
+
+  /**
+   * Compute the scheduler constants.
+   *
+   * @param numSteps The number of steps.
+   * @returns The scheduler constants.
+   */
+  static computeConsts(numSteps) {
+    const alphasCumprod = scaledLinearAlphasCumprod();
+    const finalAlphaCumprod = alphasCumprod[0];
+    const stepRatio = Math.floor(numTrainTimesteps / numSteps);
+    const timesteps = leadingTimesteps(numSteps);
+
+    const consts = {
+      num_steps: timesteps.length,
+      timesteps: timesteps,
+      alpha: [],
+      sigma: [],
+      sample_coeff: [],
+      model_output_coeff: [],
+    };
+    for (const timestep of timesteps) {
+      const prevTimestep = timestep - stepRatio;
+      const alphaProdT = alphasCumprod[timestep];
+      const alphaProdTPrev = prevTimestep >= 0 ? alphasCumprod[prevTimestep] : finalAlphaCumprod;
+      consts.alpha.push(Math.sqrt(alphaProdT));
+      consts.sigma.push(Math.sqrt(1 - alphaProdT));
+      consts.sample_coeff.push(Math.sqrt(alphaProdTPrev / alphaProdT));
+      consts.model_output_coeff.push(
+        Math.sqrt(1 - alphaProdTPrev) - Math.sqrt(alphaProdTPrev * (1 - alphaProdT) / alphaProdT));
+    }
+    return consts;
+  }
+
+  dispose() {
+    for (let t = 0; t < this.timestep.length; ++t) {
+      this.timestep[t].dispose();
+      this.sampleCoeff[t].dispose();
+      this.modelOutputCoeff[t].dispose();
+    }
+    this.stepFunc.dispose();
+  }
+
+  step(modelOutput, sample, counter) {
+    return this.stepFunc(
+      sample,
+      modelOutput,
+      this.sampleCoeff[counter],
+      this.modelOutputCoeff[counter],
+    );
+  }
+
+  /**
+   * Get the coefficients to noise clean latents to the timestep of counter,
+   * noisy = sampleCoeff * latents + noiseCoeff * noise.
+   *
+   * @param counter The step counter.
+   * @returns [sampleCoeff, noiseCoeff]
+   */
+  addNoiseCoeff(counter) {
+    return [this.schedulerConsts["alpha"][counter], this.schedulerConsts["sigma"][counter]];
+  }
+}
+
+/**
+ * Wrapper to handle latent consistency model (LCM) scheduler
+ *
+ * The few step schedule only works with LCM distilled weights.
+ * Each step but the last one noises the denoised latents to the next
+ * timestep, with noise drawn from the seeded random generator.
+ */
+export class TVMLCMScheduler {
+  constructor(schedulerConsts, latentShape, tvm, device, vm, rng) {
+    if (rng === undefined) {
+      throw Error("LCM scheduler requires a seeded random generator");
+    }
+    this.timestep = [];
+    this.c0 = [];
+    this.c1 = [];
+    this.c2 = [];
+    this.stepFunc = undefined;
+    this.schedulerConsts = schedulerConsts;
+    this.latentShape = latentShape;
+    this.tvm = tvm;
+    this.device = device;
+    this.rng = rng;
+
+    // prebuild constants
+    // principle: always detach for class members
+    // to avoid recycling output scope.
+    function loadConsts(output, dtype, input) {
+      for (let t = 0; t < input.length; ++t) {
+        output.push(
+          tvm.detachFromCurrentScope(
+            tvm.empty([], dtype, device).copyFrom([input[t]])
+          )
+        );
+      }
+    }
+    loadConsts(this.timestep, "int32", schedulerConsts["timesteps"]);
+    loadConsts(this.c0, "float32", schedulerConsts["c0"]);
+    loadConsts(this.c1, "float32", schedulerConsts["c1"]);
+    loadConsts(this.c2, "float32", schedulerConsts["c2"]);
+
+    this.stepFunc = tvm.detachFromCurrentScope(
+      vm.getFunction("lcm_scheduler_step")
+    );
+  }
+
+  /**
+   * Compute the scheduler constants.
+   *
+   * @param numSteps The number of steps, at most the 50 steps of the distillation.
+   * @returns The scheduler constants.
+   */
+  static computeConsts(numSteps) {
+    const originalNumSteps = 50;
+    if (numSteps > originalNumSteps) {
+      throw Error("LCM scheduler supports at most " + originalNumSteps + " steps");
+    }
+    const sigmaData = 0.5;
+    const timestepScaling = 10;
+    const alphasCumprod = scaledLinearAlphasCumprod();
+    // skip evenly over the timesteps of the distillation schedule
+    const originalRatio = Math.floor(numTrainTimesteps / originalNumSteps);
+    const skippingStep = Math.floor(originalNumSteps / numSteps);
+    const timesteps = [];
+    for (let i = 0; i < numSteps; ++i) {
+      timesteps.push((originalNumSteps - i * skippingStep) * originalRatio - 1);
+    }
+
+    const consts = {
+      num_steps: timesteps.length,
+      timesteps: timesteps,
+      alpha: [],
+      sigma: [],
+      c0: [],
+      c1: [],
+      c2: [],
+    };
+    for (let i = 0; i < timesteps.length; ++i) {
+      const alphaT = Math.sqrt(alphasCumprod[timesteps[i]]);
+      const sigmaT = Math.sqrt(1 - alphasCumprod[timesteps[i]]);
+      // boundary condition, denoised = cOut * predOriginalSample + cSkip * sample
+      const scaledTimestep = timesteps[i] * timestepScaling;
+      const cSkip = sigmaData ** 2 / (scaledTimestep ** 2 + sigmaData ** 2);
+      const cOut = scaledTimestep / Math.sqrt(scaledTimestep ** 2 + sigmaData ** 2);
+      // noise the denoised sample to the next timestep, the last step returns it
+      let prevAlpha = 1;
+      let prevSigma = 0;
+      if (i < timesteps.length - 1) {
+        prevAlpha = Math.sqrt(alphasCumprod[timesteps[i + 1]]);
+        prevSigma = Math.sqrt(1 - alphasCumprod[timesteps[i + 1]]);
+      }
+      consts.alpha.push(alphaT);
+      consts.sigma.push(sigmaT);
+      consts.c0.push(prevAlpha * (cOut / alphaT + cSkip));
+      consts.c1.push(-prevAlpha * cOut * sigmaT / alphaT);
+      consts.c2.push(prevSigma);
+    }
+    return consts;
+  }
+
+  dispose() {
+    for (let t = 0; t < this.timestep.length; ++t) {
+      this.timestep[t].dispose();
+      this.c0[t].dispose();
+      this.c1[t].dispose();
+      this.c2[t].dispose();
+    }
+    this.stepFunc.dispose();
+  }
+
+  step(modelOutput, sample, counter) {
+    const noise = this.tvm.empty(this.latentShape, "float32", this.device).copyFrom(
+      this.rng.gaussian(this.latentShape)
+    );
+    return this.stepFunc(
+      sample,
+      modelOutput,
+      noise,
+      this.c0[counter],
+      this.c1[counter],
+      this.c2[counter],
+    );
+  }
+
+  /**
+   * Get the coefficients to noise clean latents to the timestep of counter,
+   * noisy = sampleCoeff * latents + noiseCoeff * noise.
+   *
+   * @param counter The step counter.
+   * @returns [sampleCoeff, noiseCoeff]
+   */
+  addNoiseCoeff(counter) {
+    return [this.schedulerConsts["alpha"][counter], this.schedulerConsts["sigma"][counter]];
+  }
+}
+
+/**
+ * Registry of the schedulers, keyed by scheduler name.
+ *
+ * Each entry declares the default number of steps, the VM functions
+ * the scheduler needs and the models it supports. Adding a scheduler
+ * only takes one registerScheduler call.
+ */
+const schedulerRegistry = new Map();
+
+/**
+ * Register a scheduler.
+ *
+ * @param name The name of the scheduler.
+ * @param entry The scheduler entry.
+ * @param entry.label The label shown in the scheduler dropdown.
+ * @param entry.defaultNumSteps The default number of steps.
+ * @param entry.vmFunctions The VM functions required by the scheduler.
+ * @param entry.models The names of the models that support the scheduler.
+ * @param entry.schedulerClass The scheduler wrapper class,
+ * its static computeConsts method computes the constants for a number of steps.
+ * @param entry.warmupSteps The UNet steps run on top of the number of steps, defaults to 0.
+ */
+export function registerScheduler(name, entry) {
+  if (schedulerRegistry.has(name)) {
+    throw Error("Scheduler " + name + " is already registered");
+  }
+  schedulerRegistry.set(name, { name: name, warmupSteps: 0, ...entry });
+}
+
+/**
+ * @param model The name of the model.
+ * @returns The scheduler entries that support the model, in registration order.
+ */
+export function getSchedulersForModel(model) {
+  return Array.from(schedulerRegistry.values()).filter(
+    (entry) => entry.models.includes(model));
+}
+
+/**
+ * Compute the constants of a scheduler.
+ *
+ * num_steps of the constants is the number of UNet steps, which the generate
+ * progress counts. It is numSteps plus the warmupSteps of the scheduler entry,
+ * PNDM runs one more step to warm up.
+ *
+ * @param name The name of the scheduler.
+ * @param numSteps The number of steps, defaults to the default of the scheduler.
+ * @returns The scheduler constants.
+ */
+export function computeSchedulerConsts(name, numSteps = undefined) {
+  const entry = schedulerRegistry.get(name);
+  if (entry === undefined) {
+    throw Error("Unknown scheduler " + name);
+  }
+  if (numSteps === undefined) {
+    numSteps = entry.defaultNumSteps;
+  }
+  if (!(Number.isInteger(numSteps) && numSteps >= 1)) {
+    throw Error("Expect the number of steps to be a positive integer, but get " + numSteps);
+  }
+  return entry.schedulerClass.computeConsts(numSteps);
+}
+
+/**
+ * Check that a model library can run a scheduler of the registry.
+ *
+ * @param name The name of the scheduler.
+ * @param model The name of the model that runs the scheduler.
+ * @param schedulerConsts The scheduler constants, keyed by scheduler name.
+ * @param tvm The tvm instance.
+ * @param vm The virtual machine of the model.
+ * @returns The scheduler entry.
+ */
+export function checkScheduler(name, model, schedulerConsts, tvm, vm) {
+  const entry = schedulerRegistry.get(name);
+  if (entry === undefined || !entry.models.includes(model)) {
+    const supported = getSchedulersForModel(model).map((item) => item.name);
+    throw Error(
+      "\"" + name + "\" is an unsupported scheduler name for " + model +
+      ". The list of supported scheduler names is " + supported.join(", "));
+  }
+  if (schedulerConsts[name] === undefined) {
+    throw Error("Constants of scheduler " + name + " are not loaded");
+  }
+  const missing = tvm.withNewScope(() => {
+    return entry.vmFunctions.filter((funcName) => {
+      try {
+        vm.getFunction(funcName);
+        return false;
+      } catch (err) {
+        return true;
+      }
+    });
+  });
+  if (missing.length != 0) {
+    throw Error(
+      "Scheduler " + name + " requires VM functions that are not in the model library: " +
+      missing.join(", "));
+  }
+  return entry;
+}
+
+/**
+ * Create a scheduler from the registry.
+ *
+ * @param name The name of the scheduler.
+ * @param model The name of the model that runs the scheduler.
+ * @param schedulerConsts The scheduler constants, keyed by scheduler name.
+ * @param latentShape The shape of the latents.
+ * @param tvm The tvm instance.
+ * @param device The device to place the constants.
+ * @param vm The virtual machine of the model.
+ * @param rng The seeded random generator of the generation,
+ * for the schedulers that add noise in their steps.
+ * @returns The scheduler and its constants.
+ */
+export function createScheduler(
+  name, model, schedulerConsts, latentShape, tvm, device, vm, rng = undefined
+) {
+  const entry = checkScheduler(name, model, schedulerConsts, tvm, vm);
+  const consts = schedulerConsts[name];
+  const scheduler = new entry.schedulerClass(consts, latentShape, tvm, device, vm, rng);
+  return [scheduler, consts];
+}
+
+registerScheduler("multistep-dpm-solver", {
+  label: "Multi-step DPM Solver",
+  defaultNumSteps: 20,
+  vmFunctions: [
+    "dpm_solver_multistep_scheduler_convert_model_output",
+    "dpm_solver_multistep_scheduler_step",
+  ],
+  models: ["Stable-Diffusion-1.5"],
+  schedulerClass: TVMDPMSolverMultistepScheduler,
+});
+
+registerScheduler("pndm", {
+  label: "PNDM",
+  defaultNumSteps: 50,
+  vmFunctions: [0, 1, 2, 3, 4].map((i) => "pndm_scheduler_step_" + i),
+  models: ["Stable-Diffusion-1.5"],
+  schedulerClass: TVMPNDMScheduler,
+  warmupSteps: 1,
+});
+
+registerScheduler("euler-discrete", {
+  label: "Euler Discrete Scheduler",
+  defaultNumSteps: 50,
+  vmFunctions: ["euler_discrete_scheduler_scale", "euler_discrete_scheduler_step"],
+  models: ["Stable-Diffusion-XL", "Stable-Diffusion-XL-Refiner"],
+  schedulerClass: EulerDiscreteScheduler,
+});
+
+registerScheduler("euler-ancestral", {
+  label: "Euler Ancestral",
+  defaultNumSteps: 30,
+  vmFunctions: ["euler_ancestral_scheduler_scale", "euler_ancestral_scheduler_step"],
+  models: ["Stable-Diffusion-1.5"],
+  schedulerClass: TVMEulerAncestralScheduler,
+});
+
+registerScheduler("ddim", {
+  label: "DDIM",
+  defaultNumSteps: 50,
+  vmFunctions: ["ddim_scheduler_step"],
+  models: ["Stable-Diffusion-1.5"],
+  schedulerClass: TVMDDIMScheduler,
+});
+
+registerScheduler("lcm", {
+  label: "LCM (LCM weights only)",
+  defaultNumSteps: 4,
+  vmFunctions: ["lcm_scheduler_step"],
+  models: ["Stable-Diffusion-1.5"],
+  schedulerClass: TVMLCMScheduler,
+});
+
+/**
+ * Debug mode that tracks the NDArrays and PackedFuncs of a tvm instance.
+ *
+ * The tracker wraps the tvm instance, pipelines created with the wrapped
+ * instance record every NDArray and PackedFunc they allocate, detach and
+ * dispose, labeled with the generate stage. At the end of generate, the
+ * objects of the run that are not disposed are reported as leaks.
+ *
+ * The tracked objects keep their identity, their dispose method is
+ * replaced in place so that the disposal by endScope is recorded too.
+ */
+export class TVMLeakTracker {
+  /**
+   * @param tvm The tvm instance to track.
+   * @param options The tracker options.
+   * @param options.logger Log the leak reports, defaults to console.log.
+   */
+  constructor(tvm, options = {}) {
+    const { logger = console.log } = options;
+    this.logger = logger;
+    this.stage = "init";
+    // allocation order of the records, the run starts at runBegin
+    this.counter = 0;
+    this.runBegin = 0;
+    // tracked object to its record
+    this.records = new Map();
+    // wrapper to the wrapped object, wrappers are passed to the pipelines
+    this.unwrapped = new WeakMap();
+    this.tvm = this.#wrapTVM(tvm);
+  }
+
+  /**
+   * Start a generate run, the objects allocated before are not reported.
+   */
+  beginRun() {
+    // drop the records of the disposed objects
+    for (const [obj, record] of this.records) {
+      if (record.disposed) this.records.delete(obj);
+    }
+    this.runBegin = this.counter;
+  }
+
+  /**
+   * Label the objects allocated from now on.
+   *
+   * @param stage The stage name.
+   */
+  setStage(stage) {
+    this.stage = stage;
+  }
+
+  /**
+   * Find the objects of the current run that are not disposed.
+   *
+   * @returns The leaks by stage, each described by its kind, name and
+   * whether it is detached, empty when the run does not leak.
+   */
+  findLeaks() {
+    const leaks = {};
+    for (const record of this.records.values()) {
+      if (record.disposed || record.order < this.runBegin) continue;
+      if (leaks[record.stage] === undefined) leaks[record.stage] = [];
+      leaks[record.stage].push(
+        record.kind + " " + record.name + (record.detached ? " (detached)" : ""));
+    }
+    return leaks;
+  }
+
+  /**
+   * Log the leaks of the current run.
+   *
+   * @returns The leaks by stage, see findLeaks.
+   */
+  reportLeaks() {
+    const leaks = this.findLeaks();
+    for (const [stage, objects] of Object.entries(leaks)) {
+      this.logger(
+        "Leak check: " + objects.length + " objects of stage " + stage +
+        " are not disposed: " + objects.join(", "));
+    }
+    return leaks;
+  }
+
+  /**
+   * Record an object and replace its dispose method.
+   *
+   * @param obj The NDArray or PackedFunc.
+   * @param kind The kind of object.
+   * @param name The description of the object.
+   * @returns The object.
+   */
+  #track(obj, kind, name) {
+    if (obj === undefined || obj === null || typeof obj.dispose !== "function") {
+      return obj;
+    }
+    const record = {
+      kind: kind, name: name, stage: this.stage, order: this.counter++,
+      detached: false, disposed: false
+    };
+    this.records.set(obj, record);
+    const dispose = obj.dispose;
+    obj.dispose = (...args) => {
+      record.disposed = true;
+      return dispose.apply(obj, args);
+    };
+    return obj;
+  }
+
+  /**
+   * Wrap a PackedFunc, so that its outputs are tracked.
+   *
+   * @param func The PackedFunc.
+   * @param name The function name.
+   * @returns The wrapper, disposing it disposes the function.
+   */
+  #wrapFunction(func, name) {
+    this.#track(func, "PackedFunc", name);
+    const wrapper = (...args) => {
+      const output = func(...args.map((arg) => this.#unwrap(arg)));
+      return this.#track(output, "NDArray", "output of " + name);
+    };
+    wrapper.dispose = () => func.dispose();
+    this.unwrapped.set(wrapper, func);
+    return wrapper;
+  }
+
+  #unwrap(obj) {
+    return this.unwrapped.has(obj) ? this.unwrapped.get(obj) : obj;
+  }
+
+  /**
+   * Wrap a tvm instance.
+   *
+   * @param tvm The tvm instance.
+   * @returns The wrapper, with leakTracker set to the tracker.
+   */
+  #wrapTVM(tvm) {
+    const overrides = {
+      leakTracker: this,
+      empty: (shape, dtype, device) => {
+        return this.#track(
+          tvm.empty(shape, dtype, device), "NDArray", "[" + shape.join(", ") + "] " + dtype);
+      },
+      getParamsFromCache: (prefix, numParams) => {
+        return this.#track(tvm.getParamsFromCache(prefix, numParams), "NDArray", prefix + " params");
+      },
+      createVirtualMachine: (device) => {
+        const vm = tvm.createVirtualMachine(device);
+        const wrapper = new Proxy(vm, {
+          get: (target, prop) => {
+            if (prop == "getFunction") {
+              return (name) => this.#wrapFunction(target.getFunction(name), name);
+            }
+            const value = Reflect.get(target, prop, target);
+            return typeof value === "function" ? value.bind(target) : value;
+          }
+        });
+        this.unwrapped.set(wrapper, vm);
+        return wrapper;
+      },
+      detachFromCurrentScope: (obj) => {
+        tvm.detachFromCurrentScope(this.#unwrap(obj));
+        const record = this.records.get(this.#unwrap(obj));
+        if (record !== undefined) record.detached = true;
+        return obj;
+      },
+      attachToCurrentScope: (obj) => {
+        tvm.attachToCurrentScope(this.#unwrap(obj));
+        const record = this.records.get(this.#unwrap(obj));
+        if (record !== undefined) record.detached = false;
+        return obj;
+      },
+    };
+    return new Proxy(tvm, {
+      get: (target, prop) => {
+        if (Object.prototype.hasOwnProperty.call(overrides, prop)) {
+          return overrides[prop];
+        }
+        const value = Reflect.get(target, prop, target);
+        return typeof value === "function" ? value.bind(target) : value;
+      }
+    });
+  }
+}
+
+/**
+ * Base class of the diffusion pipelines.
+ *
+ * It owns the VM functions shared by all model families and runs
+ * the denoising loop. Subclasses implement the hooks for text encoding,
+ * UNet input preparation and the per-step UNet conditioning.
+ */
+export class BaseDiffusionPipeline {
+  // the token length of a text encoder input, including the begin and end tokens
+  static maxTokenLength = 77;
+
+  constructor(tvm, schedulerConsts, cacheMetadata, modelName) {
+    if (cacheMetadata == undefined) {
+      throw Error("Expect cacheMetadata");
+    }
+    this.tvm = tvm;
+    this.maxTokenLength = BaseDiffusionPipeline.maxTokenLength;
+    this.modelName = modelName;
+    // log the final latents to console, only for debugging
+    this.debugLatents = false;
+    // set when tvm is wrapped by a TVMLeakTracker, only for debugging
+    this.leakTracker = tvm.leakTracker;
+
+    this.device = this.tvm.webgpu();
+    // VM functions
+    this.vm = this.tvm.detachFromCurrentScope(
+      this.tvm.createVirtualMachine(this.device)
+    );
+
+    this.schedulerConsts = schedulerConsts;
+    this.unetLatentsToNoisePred = this.tvm.detachFromCurrentScope(
+      this.vm.getFunction("unet")
+    );
+    this.unetParams = this.tvm.detachFromCurrentScope(
+      this.tvm.getParamsFromCache("unet", cacheMetadata.unetParamSize)
+    );
+    this.vaeToImage = this.tvm.detachFromCurrentScope(
+      this.vm.getFunction("vae")
+    );
+    this.vaeParams = this.tvm.detachFromCurrentScope(
+      this.tvm.getParamsFromCache("vae", cacheMetadata.vaeParamSize)
+    );
+    // VAE encoder is optional, only needed by image-to-image
+    this.imageToLatents = undefined;
+    this.encoderParams = undefined;
+    if (cacheMetadata.encoderParamSize !== undefined) {
+      this.imageToLatents = this.tvm.detachFromCurrentScope(
+        this.vm.getFunction("encoder")
+      );
+      this.encoderParams = this.tvm.detachFromCurrentScope(
+        this.tvm.getParamsFromCache("encoder", cacheMetadata.encoderParamSize)
+      );
+    }
+    this.imageToRGBA = this.tvm.detachFromCurrentScope(
+      this.vm.getFunction("image_to_rgba")
+    );
+    this.concatEmbeddings = this.tvm.detachFromCurrentScope(
+      this.vm.getFunction("concat_embeddings")
+    );
+    // the number of maxTokenLength prompt chunks the compiled unet takes
+    this.promptChunks = cacheMetadata.promptChunks !== undefined ?
+      cacheMetadata.promptChunks : 1;
+    this.concatPromptChunks = undefined;
+    if (this.promptChunks > 1) {
+      this.concatPromptChunks = this.tvm.detachFromCurrentScope(
+        this.vm.getFunction("concat_prompt_chunks")
+      );
+    }
+    // prompt weights are optional, older model libraries do not have them,
+    // tokenize then warns through the generate result when weights are ignored
+    this.weightEmbeddings = undefined;
+    try {
+      this.weightEmbeddings = this.tvm.detachFromCurrentScope(
+        this.vm.getFunction("weight_embeddings")
+      );
+    } catch (err) {
+      // prompt weights are disabled
+    }
+    // set by the subclasses that support inpainting
+    this.maskedBlend = undefined;
+    // whether the compiled unet takes the guidance scale as its last input, as declared
+    // in the metadata, otherwise the guidance scale is baked into the model library.
+    this.unetGuidanceScaleInput = cacheMetadata.unetGuidanceScaleInput === true;
+    this.defaultGuidanceScale = 7.5;
+    // the image sizes the model library is compiled for, as [width, height]
+    this.imageSizes = cacheMetadata.imageSizes !== undefined ?
+      cacheMetadata.imageSizes : [this.constructor.defaultImageSize];
+  }
+
+  dispose() {
+    // note: tvm instance is not owned by this class
+    if (this.weightEmbeddings !== undefined) {
+      this.weightEmbeddings.dispose();
+    }
+    if (this.concatPromptChunks !== undefined) {
+      this.concatPromptChunks.dispose();
+    }
+    this.concatEmbeddings.dispose();
+    this.imageToRGBA.dispose()
+    if (this.imageToLatents !== undefined) {
+      this.encoderParams.dispose();
+      this.imageToLatents.dispose();
+    }
+    this.vaeParams.dispose();
+    this.vaeToImage.dispose();
+    this.unetParams.dispose();
+    this.unetLatentsToNoisePred.dispose();
+    this.vm.dispose();
+  }
+
+  /**
+   * Tokenize a weighted prompt into chunks of maxTokenLength tokens.
+   *
+   * Each chunk holds up to maxTokenLength - 2 prompt tokens between the
+   * begin and end tokens. The prompt is padded with empty chunks, or
+   * truncated, to the number of chunks the unet is compiled for.
+   *
+   * @param prompt Input prompt, may contain weighted segments.
+   * @param tokenizer The tokenizer to use.
+   * @param config Optional generation config, warnings are added to config.warnings.
+   * @returns The list of chunks, each with the input ids and the token weights.
+   */
+  tokenize(prompt, tokenizer, config = undefined) {
+    const [beginToken, endToken] = tokenizer.encode("", true).input_ids;
+    const { tokens, weights } = tokenizeWeightedPrompt(prompt, tokenizer);
+    const chunkLength = this.maxTokenLength - 2;
+    const maxTokens = chunkLength * this.promptChunks;
+    if (config !== undefined && tokens.length > maxTokens) {
+      config.warnings.push(
+        "Prompt truncated, " + (tokens.length - maxTokens) + " tokens after the first " +
+        maxTokens + " are dropped: " + prompt);
+    }
+    if (this.weightEmbeddings === undefined && weights.some((w) => w != 1)) {
+      if (config !== undefined) {
+        config.warnings.push("The model library does not support prompt weights, weights ignored");
+      }
+      weights.fill(1);
+    }
+
+    const chunks = [];
+    for (let i = 0; i < this.promptChunks; ++i) {
+      const begin = i * chunkLength;
+      const end = Math.min(begin + chunkLength, tokens.length);
+      const inputIDs = new Int32Array(this.maxTokenLength).fill(endToken);
+      const chunkWeights = new Float32Array(this.maxTokenLength).fill(1);
+      inputIDs[0] = beginToken;
+      if (begin < end) {
+        inputIDs.set(tokens.slice(begin, end), 1);
+        chunkWeights.set(weights.slice(begin, end), 1);
+      }
+      chunks.push({ inputIDs: inputIDs, weights: chunkWeights });
+    }
+    return chunks;
+  }
+
+  /**
+   * Encode the prompt chunk by chunk, apply the prompt weights
+   * and join the chunk embeddings along the sequence.
+   *
+   * @param chunks The chunks returned by tokenize.
+   * @param encodeChunk Maps the input id NDArray of a chunk to its embeddings.
+   * @returns The prompt embeddings.
+   */
+  encodePromptChunks(chunks, encodeChunk) {
+    let embeddings = undefined;
+    for (const chunk of chunks) {
+      const inputIDs = this.tvm.empty(
+        [1, this.maxTokenLength], "int32", this.device).copyFrom(chunk.inputIDs);
+      let chunkEmbeddings = encodeChunk(inputIDs);
+      if (chunk.weights.some((w) => w != 1)) {
+        const weights = this.tvm.empty(
+          [1, this.maxTokenLength], "float32", this.device).copyFrom(chunk.weights);
+        chunkEmbeddings = this.weightEmbeddings(chunkEmbeddings, weights);
+      }
+      embeddings = embeddings === undefined ?
+        chunkEmbeddings : this.concatPromptChunks(embeddings, chunkEmbeddings);
+    }
+    return embeddings;
+  }
+
+  /**
+   * async preload webgpu pipelines when possible.
+   */
+  async asyncLoadWebGPUPipelines() {
+    await this.tvm.asyncLoadWebGPUPipelines(this.vm.getInternalModule());
+  }
+
+  /**
+   * Check the image size is supported by the model library.
+   *
+   * @param width The image width.
+   * @param height The image height.
+   */
+  checkImageSize(width, height) {
+    if (!this.imageSizes.some((size) => size[0] == width && size[1] == height)) {
+      throw Error(
+        "Image size " + width + "x" + height + " is not supported by the " +
+        this.modelName + " model library. The list of supported sizes is " +
+        this.imageSizes.map((size) => size[0] + "x" + size[1]).join(", "));
+    }
+  }
+
+  /**
+   * Check an input image of generate has the size of the generated image.
+   *
+   * @param name The name of the input in the error message.
+   * @param image The ImageData-like input image.
+   * @param width The generated image width.
+   * @param height The generated image height.
+   */
+  checkInputImageSize(name, image, width, height) {
+    if (image.width != width || image.height != height) {
+      throw Error(
+        "Expect " + name + " of size " + width + "x" + height +
+        ", but get " + image.width + "x" + image.height);
+    }
+  }
+
+  /**
+   * Hook: check the model specific generate options.
+   *
+   * Called before generate allocates anything, so that invalid
+   * options do not leave scopes or NDArrays behind.
+   *
+   * @param config The generation config, including the image width and height
+   * and the generate options.
+   */
+  checkOptions(config) {}
+
+  /**
+   * @returns The scheduler entries of the model whose VM functions
+   * are in the model library, in registration order.
+   */
+  getSupportedSchedulers() {
+    return getSchedulersForModel(this.modelName).filter((entry) => {
+      try {
+        checkScheduler(entry.name, this.modelName, this.schedulerConsts, this.tvm, this.vm);
+        return true;
+      } catch (err) {
+        return false;
+      }
+    });
+  }
+
+  /**
+   * @param width The image width.
+   * @param height The image height.
+   * @returns The shape of the latents.
+   */
+  getLatentShape(width, height) {
+    return [1, 4, height / 8, width / 8];
+  }
+
+  /**
+   * @returns The standard deviation of the initial noise.
+   */
+  getInitNoiseSigma() {
+    return 1;
+  }
+
+  /**
+   * Hook: encode the prompts into the text conditioning.
+   *
+   * Called within a scope, every returned NDArray needs to be
+   * detached and is disposed by the pipeline after the UNet stage.
+   *
+   * @param prompt Input prompt.
+   * @param negPrompt Input negative prompt.
+   * @param config The generation config, including the image width and height
+   * and the generate options, prompt warnings are added to config.warnings.
+   * @returns An object of the text conditioning NDArrays.
+   */
+  encodeText(prompt, negPrompt, config) {
+    throw Error("encodeText is not implemented");
+  }
+
+  /**
+   * Hook: prepare the UNet input from the latents.
+   *
+   * @param latents The current latents.
+   * @param scheduler The scheduler in use.
+   * @param counter The step counter.
+   * @returns The UNet latent input, scaled when the scheduler scales the model input.
+   */
+  prepareUNetInput(latents, scheduler, counter) {
+    if (scheduler.scaleModelInput !== undefined) {
+      return scheduler.scaleModelInput(latents, counter);
+    }
+    return latents;
+  }
+
+  /**
+   * Hook: get the conditioning arguments passed to UNet after the timestep.
+   *
+   * @param textConditioning The output of encodeText.
+   * @param counter The step counter.
+   * @returns The list of UNet arguments.
+   */
+  getStepConditioning(textConditioning, counter) {
+    throw Error("getStepConditioning is not implemented");
+  }
+
+  /**
+   * Draw the image decoded from latents on the canvas.
+   * @param latents The latents to decode.
+   */
+  renderLatents(latents) {
+    this.tvm.withNewScope(() => {
+      const image = this.vaeToImage(latents, this.vaeParams);
+      this.tvm.showImage(this.imageToRGBA(image));
+    });
+  }
+
+  /**
+   * Encode an RGBA image into latents with the VAE encoder.
+   *
+   * @param image The image, an ImageData-like object of
+   * the same size as the generated image, checked by generate.
+   * @param width The generated image width.
+   * @param height The generated image height.
+   * @returns The latents as Float32Array.
+   */
+  async encodeImage(image, width, height) {
+    // drop the alpha channel
+    const pixels = new Float32Array(height * width * 3);
+    for (let i = 0; i < height * width; ++i) {
+      pixels[i * 3] = image.data[i * 4];
+      pixels[i * 3 + 1] = image.data[i * 4 + 1];
+      pixels[i * 3 + 2] = image.data[i * 4 + 2];
+    }
+    const latents = this.tvm.withNewScope(() => {
+      const input = this.tvm.empty([1, height, width, 3], "float32", this.device).copyFrom(pixels);
+      return this.tvm.detachFromCurrentScope(
+        this.imageToLatents(input, this.encoderParams)
+      );
+    });
+    const result = await this.copyToJS(latents);
+    latents.dispose();
+    return result;
+  }
+
+  /**
+   * Downscale an inpainting mask to the latent resolution.
+   *
+   * @param mask The mask, an ImageData-like object of the same size as
+   * the generated image, checked by generate. Pixels with non-zero alpha
+   * are regenerated.
+   * @param width The generated image width.
+   * @param height The generated image height.
+   * @returns The latent mask as Float32Array, 1 for the regenerated region.
+   */
+  downscaleMask(mask, width, height) {
+    const latentHeight = height / 8;
+    const latentWidth = width / 8;
+    // average each 8x8 block into one latent pixel
+    const output = new Float32Array(latentHeight * latentWidth);
+    for (let y = 0; y < mask.height; ++y) {
+      for (let x = 0; x < mask.width; ++x) {
+        if (mask.data[(y * mask.width + x) * 4 + 3] != 0) {
+          output[(y >> 3) * latentWidth + (x >> 3)] += 1 / 64;
+        }
+      }
+    }
+    return output;
+  }
+
+  /**
+   * Copy an NDArray on the device back to JS.
+   * @param arr The NDArray to copy.
+   * @returns The content as typed array.
+   */
+  async copyToJS(arr) {
+    // allocate a cpu arr and async copy to it.
+    const cpuArr = this.tvm.withNewScope(() => {
+      return this.tvm.detachFromCurrentScope(
+        this.tvm.empty(arr.shape, arr.dtype, this.tvm.cpu(0))
+      )
+    });
+    cpuArr.copyFrom(arr);
+    await this.device.sync();
+    const result = cpuArr.toArray().slice();
+    cpuArr.dispose();
+    return result;
+  }
+
+  /**
+   * Copy the latents to CPU and log them, only for debugging.
+   * @param latents The latents to log.
+   */
+  async logLatents(latents) {
+    console.log("final latents" + await this.copyToJS(latents));
+  }
+
+  /**
+   * Draw an RGBA image returned by generate on the canvas.
+   *
+   * @param image The image with width, height and rgba data.
+   */
+  showImage(image) {
+    const pixels = new Uint32Array(
+      image.rgba.buffer, image.rgba.byteOffset, image.width * image.height);
+    this.tvm.withNewScope(() => {
+      this.tvm.showImage(
+        this.tvm.empty([image.height, image.width], "uint32", this.device).copyFrom(pixels));
+    });
+  }
+
+  /**
+   * Run generation pipeline.
+   *
+   * @param prompt Input prompt.
+   * @param negPrompt Input negative prompt.
+   * @param progressCallback Callback to check progress.
+   * @param schedulerName The name of the scheduler in the scheduler registry.
+   * @param vaeCycle optionally draw VAE result every cycle iterations.
+   * @param beginRenderVae Begin rendering VAE after skipping these warmup runs.
+   * @param options Additional generation options.
+   * @param options.seed The seed of the initial noise, randomly picked if undefined.
+   * @param options.initImage Optional ImageData-like image to start from (image-to-image).
+   * @param options.strength How much to transform the init image, in (0, 1].
+   * @param options.mask Optional ImageData-like inpainting mask over the init image,
+   * only the region with non-zero alpha is regenerated.
+   * @param options.guidanceScale The classifier-free guidance scale,
+   * defaults to the scale the model is built with.
+   * @param options.width The image width, defaults to the model default.
+   * @param options.height The image height, defaults to the model default.
+   * @param options.signal Optional AbortSignal, checked between UNet steps.
+   * Generate rejects with GenerationCancelledError when aborted.
+   * Invalid inputs are rejected with InvalidGenerateOptionsError before anything is allocated.
+   * @param options.denoisingEnd Stop denoising at this fraction of the steps, in (0, 1].
+   * Below 1, the VAE stage is skipped and the noisy latents are returned instead,
+   * to be finished by another pipeline such as the SDXL refiner.
+   * @param options.initLatents Optional noisy latents as Float32Array to continue from,
+   * as returned by a generate call with options.denoisingEnd.
+   * @param options.denoisingStart The fraction of the steps options.initLatents are at.
+   * @param options.initLatentsStep The UNet step options.initLatents are at, as returned
+   * in result.endStep. Defaults to denoisingStart of the UNet steps, rounded down.
+   * @param options.numSteps The number of scheduler steps, the scheduler constants
+   * are computed for it. Defaults to the constants the pipeline is created with.
+   * The progress counts the UNet steps of the constants, one more for PNDM.
+   * Model specific options are passed on to encodeText, see the subclasses.
+   * @returns The generated image, with the pixels as RGBA Uint8ClampedArray
+   * and the generation parameters, including the seed that was used,
+   * and the prompt warnings such as truncation. When denoising ends early,
+   * the latents Float32Array is returned instead of the pixels, with the
+   * UNet step they are at as endStep.
+   */
+  async generate(
+    prompt,
+    negPrompt = "",
+    progressCallback = undefined,
+    schedulerName = undefined,
+    vaeCycle = -1,
+    beginRenderVae = 10,
+    options = {}
+  ) {
+    let {
+      seed = undefined, initImage = undefined, strength = 0.75, mask = undefined,
+      guidanceScale = undefined,
+      width = this.constructor.defaultImageSize[0],
+      height = this.constructor.defaultImageSize[1],
+      signal = undefined,
+      denoisingEnd = 1, initLatents: startLatents = undefined, denoisingStart = 0,
+      initLatentsStep = undefined, numSteps = undefined
+    } = options;
+    if (signal !== undefined && signal.aborted) {
+      throw new GenerationCancelledError();
+    }
+    const config = { width: width, height: height, warnings: [], options: options };
+    let schedulerConstsOfRun = undefined;
+    let schedulerEntry = undefined;
+    try {
+      this.checkImageSize(width, height);
+      if (guidanceScale !== undefined && !this.unetGuidanceScaleInput) {
+        throw Error(
+          "The guidance scale is baked into the " + this.modelName +
+          " model library, guidanceScale is not supported");
+      }
+      if (guidanceScale === undefined) {
+        guidanceScale = this.defaultGuidanceScale;
+      }
+      if (initImage !== undefined) {
+        if (this.imageToLatents === undefined) {
+          throw Error("The model library does not contain a VAE encoder, image-to-image is not supported");
+        }
+        if (!(strength > 0 && strength <= 1)) {
+          throw Error("Expect strength in (0, 1], but get " + strength);
+        }
+        this.checkInputImageSize("init image", initImage, width, height);
+      }
+      if (!(denoisingEnd > 0 && denoisingEnd <= 1)) {
+        throw Error("Expect denoisingEnd in (0, 1], but get " + denoisingEnd);
+      }
+      if (startLatents !== undefined) {
+        if (initImage !== undefined) {
+          throw Error("initLatents and initImage cannot be used together");
+        }
+        if (!(denoisingStart >= 0 && denoisingStart < denoisingEnd)) {
+          throw Error("Expect denoisingStart in [0, denoisingEnd), but get " + denoisingStart);
+        }
+      }
+      if (mask !== undefined) {
+        if (initImage === undefined) {
+          throw Error("Inpainting requires an init image");
+        }
+        if (this.maskedBlend === undefined) {
+          throw Error(this.modelName + " pipeline does not support inpainting");
+        }
+        this.checkInputImageSize("mask", mask, width, height);
+      }
+      this.checkOptions(config);
+      if (schedulerName === undefined) {
+        schedulerName = getSchedulersForModel(this.modelName)[0].name;
+      }
+      schedulerConstsOfRun = numSteps !== undefined ?
+        { [schedulerName]: computeSchedulerConsts(schedulerName, numSteps) } : this.schedulerConsts;
+      schedulerEntry = checkScheduler(
+        schedulerName, this.modelName, schedulerConstsOfRun, this.tvm, this.vm);
+      if (initImage !== undefined &&
+        schedulerEntry.schedulerClass.prototype.addNoiseCoeff === undefined) {
+        throw Error("Scheduler " + schedulerName + " does not support image-to-image");
+      }
+      if (startLatents !== undefined && initLatentsStep !== undefined) {
+        const unetNumSteps = schedulerConstsOfRun[schedulerName]["num_steps"];
+        if (!(Number.isInteger(initLatentsStep) &&
+          initLatentsStep >= 0 && initLatentsStep < unetNumSteps)) {
+          throw Error(
+            "Expect initLatentsStep to be an integer in [0, " + unetNumSteps +
+            "), but get " + initLatentsStep);
+        }
+      }
+    } catch (err) {
+      throw new InvalidGenerateOptionsError(err);
+    }
+    if (this.leakTracker !== undefined) {
+      this.leakTracker.beginRun();
+    }
+    // Principle: beginScope/endScope in synchronized blocks,
+    // this helps to recycle intermediate memories
+    // detach states that needs to go across async boundaries.
+    //--------------------------
+    // Stage 0: CLIP
+    //--------------------------
+    this.#setLeakStage("clip");
+    this.tvm.beginScope();
+    // get latents
+    const latentShape = this.getLatentShape(width, height);
+
+    if (seed === undefined) {
+      seed = SeededRandom.randomSeed();
+    }
+    const rng = new SeededRandom(seed);
+    const [scheduler, schedulerConsts] = createScheduler(
+      schedulerName, this.modelName, schedulerConstsOfRun,
+      latentShape, this.tvm, this.device, this.vm, rng);
+    const unetNumSteps = schedulerConsts["num_steps"];
+    // image-to-image skips the first steps, depending on strength
+    let beginStep = 0;
+    if (initImage !== undefined) {
+      beginStep = Math.min(
+        unetNumSteps - Math.floor(unetNumSteps * strength), unetNumSteps - 1);
+    }
+    if (startLatents !== undefined) {
+      beginStep = initLatentsStep !== undefined ?
+        initLatentsStep : Math.floor(unetNumSteps * denoisingStart);
+    }
+    // the hand-off step of a pipeline that finishes early
+    const endStep = denoisingEnd < 1 ?
+      Math.max(Math.floor(unetNumSteps * denoisingEnd), beginStep + 1) : unetNumSteps;
+    const numRunSteps = endStep - beginStep;
+    const totalNumSteps = numRunSteps + 2;
+
+    if (progressCallback !== undefined) {
+      progressCallback("clip", 0, 1, totalNumSteps);
+    }
+
+    const textConditioning = this.tvm.withNewScope(() => {
+      return this.encodeText(prompt, negPrompt, config);
+    });
+    let latents = this.tvm.detachFromCurrentScope(
+      this.tvm.empty(latentShape, "float32", this.device)
+    );
+    const guidanceScaleArr = this.tvm.detachFromCurrentScope(
+      this.tvm.empty([], "float32", this.device).copyFrom([guidanceScale])
+    );
+    this.tvm.endScope();
+
+    // noise the clean latents up to the timestep of counter,
+    // the final counter corresponds to the clean latents.
+    const addNoise = (cleanLatents, noise, counter) => {
+      const [sampleCoeff, noiseCoeff] = counter < unetNumSteps ?
+        scheduler.addNoiseCoeff(counter) : [1, 0];
+      const output = new Float32Array(noise.length);
+      for (let i = 0; i < noise.length; ++i) {
+        output[i] = sampleCoeff * cleanLatents[i] + noiseCoeff * noise[i];
+      }
+      return output;
+    };
+    let initLatents = undefined;
+    let noise = undefined;
+    let latentMask = undefined;
+    if (initImage !== undefined) {
+      initLatents = await this.encodeImage(initImage, width, height);
+      noise = rng.gaussian(latentShape);
+      latents.copyFrom(addNoise(initLatents, noise, beginStep));
+    } else if (startLatents !== undefined) {
+      latents.copyFrom(startLatents);
+    } else {
+      const initNoiseSigma = scheduler.initNoiseSigma !== undefined ?
+        scheduler.initNoiseSigma() : this.getInitNoiseSigma();
+      latents.copyFrom(rng.gaussian(latentShape, initNoiseSigma));
+    }
+    if (mask !== undefined) {
+      latentMask = this.tvm.withNewScope(() => {
+        return this.tvm.detachFromCurrentScope(
+          this.tvm.empty([1, 1, latentShape[2], latentShape[3]], "float32", this.device)
+            .copyFrom(this.downscaleMask(mask, width, height))
+        );
+      });
+    }
+
+    //---------------------------
+    // Stage 1: UNet + Scheduler
+    //---------------------------
+    this.#setLeakStage("unet");
+    if (vaeCycle != -1) {
+      // show first frame
+      this.renderLatents(latents);
+      await this.device.sync();
+    }
+    vaeCycle = vaeCycle == -1 ? numRunSteps : vaeCycle;
+    let lastSync = undefined;
+    // dispose the states that live across the UNet steps
+    const disposeStepStates = () => {
+      scheduler.dispose();
+      for (const value of Object.values(textConditioning)) {
+        value.dispose();
+      }
+      guidanceScaleArr.dispose();
+      if (latentMask !== undefined) {
+        latentMask.dispose();
+      }
+    };
+
+    for (let counter = beginStep; counter < endStep; ++counter) {
+      if (signal !== undefined && signal.aborted) {
+        // wait for the queued steps before releasing their inputs
+        await this.device.sync();
+        disposeStepStates();
+        latents.dispose();
+        this.#reportLeaks();
+        throw new GenerationCancelledError();
+      }
+      const runStep = counter - beginStep;
+      if (progressCallback !== undefined) {
+        progressCallback("unet", runStep, numRunSteps, totalNumSteps);
+      }
+      const timestep = scheduler.timestep[counter];
+      // recycle noisePred, track latents manually
+      const newLatents = this.tvm.withNewScope(() => {
+        this.tvm.attachToCurrentScope(latents);
+        const unetInput = this.prepareUNetInput(latents, scheduler, counter);
+        const unetArgs = this.getStepConditioning(textConditioning, counter);
+        if (this.unetGuidanceScaleInput) {
+          unetArgs.push(guidanceScaleArr);
+        }
+        const noisePred = this.unetLatentsToNoisePred(
+          unetInput, timestep, ...unetArgs, this.unetParams);
+        let stepLatents = scheduler.step(noisePred, latents, counter);
+        if (latentMask !== undefined) {
+          // keep the known latents outside of the mask
+          const knownLatents = this.tvm.empty(latentShape, "float32", this.device).copyFrom(
+            addNoise(initLatents, noise, counter + 1));
+          stepLatents = this.maskedBlend(stepLatents, knownLatents, latentMask);
+        }
+        // maintain new latents
+        return this.tvm.detachFromCurrentScope(stepLatents);
+      });
+      latents = newLatents;
+      // use skip one sync, although likely not as useful.
+      if (lastSync !== undefined) {
+        await lastSync;
+      }
+      // async event checker
+      lastSync = this.device.sync();
+
+      // Optionally, we can draw intermediate result of VAE.
+      if ((runStep + 1) % vaeCycle == 0 &&
+        (runStep + 1) != numRunSteps &&
+        runStep >= beginRenderVae) {
+        this.renderLatents(latents);
+        await this.device.sync();
+      }
+    }
+    disposeStepStates();
+
+    await this.device.sync();
+    if (this.debugLatents) {
+      await this.logLatents(latents);
+    }
+    const result = {
+      prompt: prompt,
+      negPrompt: negPrompt,
+      seed: rng.seed,
+      scheduler: schedulerName,
+      // the scheduler steps, without the warm-up steps
+      steps: unetNumSteps - schedulerEntry.warmupSteps,
+      model: this.modelName,
+      width: width,
+      height: height,
+      warnings: config.warnings
+    };
+    if (endStep < unetNumSteps) {
+      // hand the noisy latents over, without decoding them
+      result.latents = await this.copyToJS(latents);
+      result.endStep = endStep;
+      latents.dispose();
+      this.#reportLeaks();
+      return result;
+    }
+
+    //-----------------------------
+    // Stage 2: VAE and draw image
+    //-----------------------------
+    this.#setLeakStage("vae");
+    if (progressCallback !== undefined) {
+      progressCallback("vae", 0, 1, totalNumSteps);
+    }
+    const imageRGBA = this.tvm.withNewScope(() => {
+      const image = this.vaeToImage(latents, this.vaeParams);
+      const rgba = this.imageToRGBA(image);
+      this.tvm.showImage(rgba);
+      return this.tvm.detachFromCurrentScope(rgba);
+    });
+    latents.dispose();
+    const pixels = await this.copyToJS(imageRGBA);
+    imageRGBA.dispose();
+    if (progressCallback !== undefined) {
+      progressCallback("vae", 1, 1, totalNumSteps);
+    }
+    result.rgba = new Uint8ClampedArray(pixels.buffer, pixels.byteOffset, pixels.byteLength);
+    this.#reportLeaks();
+    return result;
+  }
+
+  /**
+   * Label the objects allocated from now on in debug mode.
+   * @param stage The generate stage.
+   */
+  #setLeakStage(stage) {
+    if (this.leakTracker !== undefined) {
+      this.leakTracker.setStage(stage);
+    }
+  }
+
+  /**
+   * Report the objects of the generate run that are not disposed in debug mode.
+   */
+  #reportLeaks() {
+    if (this.leakTracker !== undefined) {
+      this.leakTracker.reportLeaks();
+    }
+  }
+
+  clearCanvas() {
+    this.tvm.clearCanvas();
+  }
+};
+
+export class StableDiffusionPipeline extends BaseDiffusionPipeline {
+  static defaultImageSize = [512, 512];
+
+  constructor(tvm, tokenizer, schedulerConsts, cacheMetadata) {
+    super(tvm, schedulerConsts, cacheMetadata, "Stable-Diffusion-1.5");
+    this.tokenizer = tokenizer;
+
+    this.clipToTextEmbeddings = this.tvm.detachFromCurrentScope(
+      this.vm.getFunction("clip")
+    );
+    this.clipParams = this.tvm.detachFromCurrentScope(
+      this.tvm.getParamsFromCache("clip", cacheMetadata.clipParamSize)
+    );
+    // inpainting is optional, older model libraries do not have masked_blend
+    try {
+      this.maskedBlend = this.tvm.detachFromCurrentScope(
+        this.vm.getFunction("masked_blend")
+      );
+    } catch (err) {
+      this.maskedBlend = undefined;
+    }
+  }
+
+  dispose() {
+    if (this.maskedBlend !== undefined) {
+      this.maskedBlend.dispose();
+    }
+    this.clipParams.dispose();
+    this.clipToTextEmbeddings.dispose();
+    super.dispose();
+  }
+
+  encodeText(prompt, negPrompt, config) {
+    const encode = (text) => this.encodePromptChunks(
+      this.tokenize(text, this.tokenizer, config),
+      (inputIDs) => this.clipToTextEmbeddings(inputIDs, this.clipParams));
+    const posEmbeddings = encode(prompt);
+    const negEmbeddings = encode(negPrompt);
+    return {
+      embeddings: this.tvm.detachFromCurrentScope(
+        this.concatEmbeddings(negEmbeddings, posEmbeddings)
+      )
+    };
+  }
+
+  getStepConditioning(textConditioning, counter) {
+    return [textConditioning.embeddings];
+  }
+};
+
+export class DiffusionXLPipeline extends BaseDiffusionPipeline {
+  static defaultImageSize = [1024, 1024];
+
+  /**
+   * @param options.forceZerosForEmptyPrompt Use zero negative embeddings when the
+   * negative prompt is empty, as the reference SDXL pipeline does, defaults to true.
+   *
+   * Generate takes the size and crop conditioning as additional options,
+   * sizes are in [height, width] and crop coordinates in [top, left]:
+   * options.originalSize and options.targetSize default to the image size,
+   * options.cropCoords defaults to [0, 0]. The negative variants
+   * options.negativeOriginalSize, options.negativeCropCoords and
+   * options.negativeTargetSize default to the positive values.
+   */
+  constructor(tvm, tokenizer1, tokenizer2, schedulerConsts, cacheMetadata, options = {}) {
+    super(tvm, schedulerConsts, cacheMetadata, "Stable-Diffusion-XL");
+    const { forceZerosForEmptyPrompt = true } = options;
+    this.forceZerosForEmptyPrompt = forceZerosForEmptyPrompt;
+    this.tokenizer1 = tokenizer1;
+    this.tokenizer2 = tokenizer2;
+
+    this.clipToTextEmbeddings1 = this.tvm.detachFromCurrentScope(
+      this.vm.getFunction("clip")
+    );
+    this.clipParams1 = this.tvm.detachFromCurrentScope(
+      this.tvm.getParamsFromCache("clip", cacheMetadata.clipParamSize)
+    );
+    this.clipToTextEmbeddings2 = this.tvm.detachFromCurrentScope(
+      this.vm.getFunction("clip2")
+    );
+    this.clipParams2 = this.tvm.detachFromCurrentScope(
+      this.tvm.getParamsFromCache("clip2", cacheMetadata.clip2ParamSize)
+    );
+    this.concatPoolEmbeddings = this.tvm.detachFromCurrentScope(
+      this.vm.getFunction("concat_pool_embeddings")
+    );
+    this.catLatents = this.tvm.detachFromCurrentScope(
+      this.vm.getFunction("cat_latents")
+    );
+    this.concatEncoderOutputs = this.tvm.detachFromCurrentScope(
+      this.vm.getFunction("concat_enocder_outputs")
+    );
+    this.defaultGuidanceScale = 5.0;
+  }
+
+  dispose() {
+    this.concatPoolEmbeddings.dispose();
+    this.catLatents.dispose();
+    this.concatEncoderOutputs.dispose();
+    this.clipParams1.dispose();
+    this.clipToTextEmbeddings1.dispose();
+    this.clipParams2.dispose();
+    this.clipToTextEmbeddings2.dispose();
+    super.dispose();
+  }
+
+  /**
+   * Encode a prompt with both text encoders.
+   *
+   * @param prompt Input prompt.
+   * @param config The generation config.
+   * @returns The prompt embeddings and the pooled embeddings of the first chunk.
+   */
+  encodePrompt(prompt, config) {
+    // both tokenizers share the vocabulary, only warn once
+    const embeddings1 = this.encodePromptChunks(
+      this.tokenize(prompt, this.tokenizer1, config),
+      (inputIDs) => this.clipToTextEmbeddings1(inputIDs, this.clipParams1).get(0));
+    let poolEmbeddings = undefined;
+    const embeddings2 = this.encodePromptChunks(
+      this.tokenize(prompt, this.tokenizer2),
+      (inputIDs) => {
+        const output = this.clipToTextEmbeddings2(inputIDs, this.clipParams2);
+        if (poolEmbeddings === undefined) {
+          poolEmbeddings = output.get(1);
+        }
+        return output.get(0);
+      });
+    return [this.concatEncoderOutputs(embeddings1, embeddings2), poolEmbeddings];
+  }
+
+  encodeText(prompt, negPrompt, config) {
+    const [posEmbeddings, poolPosEmbeddings] = this.encodePrompt(prompt, config);
+    let negEmbeddings = undefined;
+    let poolNegEmbeddings = undefined;
+    if (negPrompt == "" && this.forceZerosForEmptyPrompt) {
+      const zeros = (arr) => this.tvm.empty(arr.shape, "float32", this.device).copyFrom(
+        new Float32Array(arr.shape.reduce((a, b) => a * b, 1)));
+      negEmbeddings = zeros(posEmbeddings);
+      poolNegEmbeddings = zeros(poolPosEmbeddings);
+    } else {
+      [negEmbeddings, poolNegEmbeddings] = this.encodePrompt(negPrompt, config);
+    }
+
+    const addTimeIds = this.tvm.empty([2, 6], "float32", this.device).copyFrom(
+      this.getAddTimeIds(config));
+
+    return {
+      embeddings: this.tvm.detachFromCurrentScope(
+        this.concatEmbeddings(negEmbeddings, posEmbeddings)
+      ),
+      poolEmbeddings: this.tvm.detachFromCurrentScope(
+        this.concatPoolEmbeddings(poolNegEmbeddings, poolPosEmbeddings)
+      ),
+      addTimeIds: this.tvm.detachFromCurrentScope(addTimeIds)
+    };
+  }
+
+  /**
+   * Check the size and crop conditioning values.
+   * @param values The list of [height, width] sizes and [top, left] crop coordinates.
+   */
+  static checkSizeConditioning(values) {
+    for (const value of values) {
+      if (!(value.length == 2 && value.every((v) => Number.isInteger(v) && v >= 0))) {
+        throw Error("Expect a pair of non-negative integers for the size conditioning, but get " + value);
+      }
+    }
+  }
+
+  /**
+   * Get the size and crop conditioning of the negative and positive branch.
+   *
+   * @param config The generation config.
+   * @returns The add_time_ids values, original size, crop top-left and
+   * target size of the negative branch followed by the positive branch.
+   */
+  getAddTimeIds(config) {
+    const {
+      originalSize = [config.height, config.width],
+      cropCoords = [0, 0],
+      targetSize = [config.height, config.width],
+    } = config.options;
+    const {
+      negativeOriginalSize = originalSize,
+      negativeCropCoords = cropCoords,
+      negativeTargetSize = targetSize,
+    } = config.options;
+    DiffusionXLPipeline.checkSizeConditioning([
+      originalSize, cropCoords, targetSize,
+      negativeOriginalSize, negativeCropCoords, negativeTargetSize
+    ]);
+    return [
+      ...negativeOriginalSize, ...negativeCropCoords, ...negativeTargetSize,
+      ...originalSize, ...cropCoords, ...targetSize
+    ];
+  }
+
+  checkOptions(config) {
+    // getAddTimeIds checks the size and crop conditioning
+    this.getAddTimeIds(config);
+  }
+
+  prepareUNetInput(latents, scheduler, counter) {
+    const latentModelInput = this.catLatents(latents);
+    return scheduler.scaleModelInput(latentModelInput, counter);
+  }
+
+  getStepConditioning(textConditioning, counter) {
+    return [
+      textConditioning.embeddings, textConditioning.poolEmbeddings, textConditioning.addTimeIds
+    ];
+  }
+};
+
+/**
+ * SDXL refiner, finishes the last denoising steps of the SDXL base pipeline.
+ *
+ * The refiner only has the second text encoder, and its UNet is
+ * conditioned on an aesthetic score instead of the target size.
+ */
+export class DiffusionXLRefinerPipeline extends BaseDiffusionPipeline {
+  static defaultImageSize = [1024, 1024];
+
+  /**
+   * Generate takes options.originalSize, options.cropCoords and their negative
+   * variants as the base pipeline does, as well as options.aestheticScore
+   * and options.negativeAestheticScore, defaulting to 6 and 2.5.
+   */
+  constructor(tvm, tokenizer2, schedulerConsts, cacheMetadata) {
+    super(tvm, schedulerConsts, cacheMetadata, "Stable-Diffusion-XL-Refiner");
+    this.tokenizer2 = tokenizer2;
+
+    this.clipToTextEmbeddings2 = this.tvm.detachFromCurrentScope(
+      this.vm.getFunction("clip2")
+    );
+    this.clipParams2 = this.tvm.detachFromCurrentScope(
+      this.tvm.getParamsFromCache("clip2", cacheMetadata.clip2ParamSize)
+    );
+    this.concatPoolEmbeddings = this.tvm.detachFromCurrentScope(
+      this.vm.getFunction("concat_pool_embeddings")
+    );
+    this.catLatents = this.tvm.detachFromCurrentScope(
+      this.vm.getFunction("cat_latents")
+    );
+    this.defaultGuidanceScale = 5.0;
+  }
+
+  dispose() {
+    this.concatPoolEmbeddings.dispose();
+    this.catLatents.dispose();
+    this.clipParams2.dispose();
+    this.clipToTextEmbeddings2.dispose();
+    super.dispose();
+  }
+
+  /**
+   * Encode a prompt with the second text encoder.
+   *
+   * @param prompt Input prompt.
+   * @param config The generation config.
+   * @returns The prompt embeddings and the pooled embeddings of the first chunk.
+   */
+  encodePrompt(prompt, config) {
+    let poolEmbeddings = undefined;
+    const embeddings = this.encodePromptChunks(
+      this.tokenize(prompt, this.tokenizer2, config),
+      (inputIDs) => {
+        const output = this.clipToTextEmbeddings2(inputIDs, this.clipParams2);
+        if (poolEmbeddings === undefined) {
+          poolEmbeddings = output.get(1);
+        }
+        return output.get(0);
+      });
+    return [embeddings, poolEmbeddings];
+  }
+
+  encodeText(prompt, negPrompt, config) {
+    // the refiner encodes empty negative prompts as they are
+    const [posEmbeddings, poolPosEmbeddings] = this.encodePrompt(prompt, config);
+    const [negEmbeddings, poolNegEmbeddings] = this.encodePrompt(negPrompt, config);
+    const addTimeIds = this.tvm.empty([2, 5], "float32", this.device).copyFrom(
+      this.getAddTimeIds(config));
+    return {
+      embeddings: this.tvm.detachFromCurrentScope(
+        this.concatEmbeddings(negEmbeddings, posEmbeddings)
+      ),
+      poolEmbeddings: this.tvm.detachFromCurrentScope(
+        this.concatPoolEmbeddings(poolNegEmbeddings, poolPosEmbeddings)
+      ),
+      addTimeIds: this.tvm.detachFromCurrentScope(addTimeIds)
+    };
+  }
+
+  /**
+   * Get the size, crop and aesthetic conditioning of the negative and positive branch.
+   *
+   * @param config The generation config.
+   * @returns The add_time_ids values, original size, crop top-left and
+   * aesthetic score of the negative branch followed by the positive branch.
+   */
+  getAddTimeIds(config) {
+    const {
+      originalSize = [config.height, config.width],
+      cropCoords = [0, 0],
+      aestheticScore = 6.0,
+      negativeAestheticScore = 2.5,
+    } = config.options;
+    const {
+      negativeOriginalSize = originalSize,
+      negativeCropCoords = cropCoords,
+    } = config.options;
+    DiffusionXLPipeline.checkSizeConditioning([
+      originalSize, cropCoords, negativeOriginalSize, negativeCropCoords
+    ]);
+    return [
+      ...negativeOriginalSize, ...negativeCropCoords, negativeAestheticScore,
+      ...originalSize, ...cropCoords, aestheticScore
+    ];
+  }
+
+  checkOptions(config) {
+    // getAddTimeIds checks the size and crop conditioning
+    this.getAddTimeIds(config);
+  }
+
+  prepareUNetInput(latents, scheduler, counter) {
+    const latentModelInput = this.catLatents(latents);
+    return scheduler.scaleModelInput(latentModelInput, counter);
+  }
+
+  getStepConditioning(textConditioning, counter) {
+    return [
+      textConditioning.embeddings, textConditioning.poolEmbeddings, textConditioning.addTimeIds
+    ];
+  }
+};
+
+/**
+ * Load the models and run the generate jobs.
+ *
+ * The instance reports to the page through the callbacks of its options.
+ */
+export class StableDiffusionInstance {
+  /**
+   * @param options The instance options, every callback defaults to a no-op.
+   * @param options.logger Log a message, defaults to console.log.
+   * @param options.onProgress Receive the loading and generation progress reports,
+   * each with the progress in [0, 1], the elapsed seconds and a text.
+   * @param options.onGPUStatus Receive the text of the WebGPU device status.
+   * @param options.onQueueChange Receive the job queue whenever a job changes.
+   * @param options.onImage Receive each generated image.
+   * @param options.onModelLoad Receive the pipeline of the selected model once it is loaded.
+   * @param options.onRPCPrompt Receive the prompts of the RPC generate calls.
+   * @param options.resizeCanvas Resize the canvas to the width and height of a job.
+   * @param options.canvas The canvas the model libraries draw on.
+   * @param options.getTokenizer Load a tokenizer by name.
+   * @param options.configUrl URL to the config json.
+   * @param options.baseUrl The base URL of the relative NDArray cache URLs in the config.
+   */
+  constructor(options = {}) {
+    const noop = () => {};
+    const {
+      logger = console.log,
+      onProgress = noop,
+      onGPUStatus = noop,
+      onQueueChange = noop,
+      onImage = noop,
+      onModelLoad = noop,
+      onRPCPrompt = noop,
+      resizeCanvas = noop,
+      canvas = undefined,
+      getTokenizer = undefined,
+      configUrl = "stable-diffusion-config.json",
+      baseUrl = undefined,
+    } = options;
+    this.logger = logger;
+    this.onProgress = onProgress;
+    this.onGPUStatus = onGPUStatus;
+    this.onQueueChange = onQueueChange;
+    this.onImage = onImage;
+    this.onModelLoad = onModelLoad;
+    this.onRPCPrompt = onRPCPrompt;
+    this.resizeCanvas = resizeCanvas;
+    this.canvas = canvas;
+    this.getTokenizer = getTokenizer;
+    this.configUrl = configUrl;
+    this.baseUrl = baseUrl;
+
+    this.tvm = undefined;
+    this.pipeline = undefined;
+    this.config = undefined;
+    this.model = "Stable-Diffusion-XL"
+    // generate jobs, processed in order one at a time
+    this.jobQueue = [];
+    this.nextJobId = 0;
+    this.queueRunning = false;
+    // tokenizers by name, they stay loaded when the model is reset
+    this.tokenizers = new Map();
+    // the WebGPU device shared by the model libraries
+    this.gpuDevice = undefined;
+    // loaded models by name, from the least to the most recently used,
+    // each with its tvm instance, pipeline and weight size in bytes
+    this.loadedModels = new Map();
+  }
+
+  /**
+   * Instantiate a model library on the WebGPU device and fetch its parameters.
+   *
+   * @param wasmUrl URL to wasm source.
+   * @param cacheUrl URL to NDArray cache.
+   * @returns The tvm instance.
+   */
+  async #asyncCreateTVM(wasmUrl, cacheUrl) {
+    const wasmSource = await (
+      await fetch(wasmUrl)
+    ).arrayBuffer();
+    const tvm = await tvmjs.instantiate(
+      new Uint8Array(wasmSource),
+      new EmccWASI(),
+      this.logger
+    );
+    // initialize WebGPU, model libraries loaded together share the device
+    if (this.gpuDevice === undefined) {
+      try {
+        const output = await tvmjs.detectGPUDevice();
+        if (output !== undefined) {
+          var label = "WebGPU";
+          if (output.adapterInfo.description.length != 0) {
+            label += " - " + output.adapterInfo.description;
+          } else {
+            label += " - " + output.adapterInfo.vendor;
+          }
+          this.onGPUStatus("Initialize GPU device: " + label);
+          this.gpuDevice = output.device;
+          this.#watchDeviceLost(output.device);
+        } else {
+          this.onGPUStatus("This browser env do not support WebGPU");
+          throw Error("This browser env do not support WebGPU");
+        }
+      } catch (err) {
+        this.onGPUStatus("Find an error initializing the WebGPU device " + err.toString());
+        console.log(err.stack);
+        tvm.dispose();
+        throw Error("Find an error initializing WebGPU: " + err.toString());
+      }
+    }
+    tvm.initWebGPU(this.gpuDevice);
+    if (this.canvas !== undefined) {
+      tvm.bindCanvas(this.canvas);
+    }
+
+    const initProgressCallback = (report) => this.onProgress(report);
+    tvm.registerInitProgressCallback(initProgressCallback);
+    try {
+      // resume and verify the shard downloads, the runtime then loads them from the cache
+      await downloadModelToCache(
+        this.#resolveCacheUrl(cacheUrl), initProgressCallback, this.logger);
+      await tvm.fetchNDArrayCache(this.#resolveCacheUrl(cacheUrl), tvm.webgpu());
+    } catch (err) {
+      this.#unloadModel(tvm);
+      throw err;
+    }
+    return tvm;
+  }
+
+  /**
+   * Forget a lost WebGPU device, the models are loaded again on a new one.
+   *
+   * @param device The shared WebGPU device.
+   */
+  #watchDeviceLost(device) {
+    device.lost.then(() => {
+      if (this.gpuDevice !== device) return;
+      this.logger("The WebGPU device is lost, the models will be loaded again");
+      this.gpuDevice = undefined;
+      this.loadedModels.clear();
+      this.tvm = undefined;
+      this.pipeline = undefined;
+    });
+  }
+
+  /**
+   * Release the pipeline and the weights of a model.
+   *
+   * The tvm instance is not disposed, disposing it destroys the WebGPU
+   * device that the other loaded models share.
+   *
+   * @param tvm The tvm instance of the model.
+   * @param pipeline The pipeline of the model, undefined if not created.
+   */
+  #unloadModel(tvm, pipeline = undefined) {
+    if (pipeline !== undefined) {
+      pipeline.dispose();
+    }
+    tvm.ndarrayCacheClear();
+  }
+
+  /**
+   * @param cacheUrl The NDArray cache URL in the config.
+   * @returns The absolute URL, the key of the shards in the cache.
+   */
+  #resolveCacheUrl(cacheUrl) {
+    if (!cacheUrl.startsWith("http")) {
+      cacheUrl = new URL(cacheUrl, this.baseUrl).href;
+    }
+    return cacheUrl;
+  }
+
+  /**
+   * Get the cache status of every model in the config.
+   *
+   * @returns The list of models, each with its name and cache info.
+   */
+  async asyncGetCacheInfo() {
+    await this.#asyncInitConfig();
+    const models = [];
+    for (const [name, url] of Object.entries(this.config.param_dict)) {
+      const info = await getModelCacheInfo(this.#resolveCacheUrl(url));
+      models.push({ name: name, ...info });
+    }
+    return models;
+  }
+
+  /**
+   * Download the shards of a model without loading it.
+   *
+   * @param name The model name in the config param_dict.
+   */
+  async downloadModel(name) {
+    try {
+      await this.#asyncInitConfig();
+      await downloadModelToCache(
+        this.#resolveCacheUrl(this.config.param_dict[name]), (report) => {
+          this.onProgress({ ...report, text: name + ": " + report.text });
+        }, this.logger);
+      this.logger("Downloaded " + name + " to the cache");
+    } catch (err) {
+      this.logger("Cannot download " + name + ", " + err.toString());
+    }
+  }
+
+  /**
+   * Delete the cached shards of a model, a loaded model stays usable.
+   *
+   * @param name The model name in the config param_dict.
+   */
+  async deleteModel(name) {
+    try {
+      await this.#asyncInitConfig();
+      await deleteModelFromCache(this.#resolveCacheUrl(this.config.param_dict[name]));
+      this.logger("Deleted " + name + " from the cache");
+    } catch (err) {
+      this.logger("Cannot delete " + name + ", " + err.toString());
+    }
+  }
+
+  /**
+   * Compute the constants of the schedulers supported by a model,
+   * for their default number of steps.
+   *
+   * @param model The name of the model.
+   * @returns The scheduler constants, by scheduler name.
+   */
+  #computeSchedulerConsts(model) {
+    const schedulerConst = {};
+    for (const entry of getSchedulersForModel(model)) {
+      schedulerConst[entry.name] = computeSchedulerConsts(entry.name);
+    }
+    return schedulerConst;
+  }
+
+  /**
+   * Create the pipeline of a model.
+   *
+   * @param name The model name in the config.
+   * @param tvm The tvm instance with the model library loaded.
+   * @returns The pipeline.
+   */
+  async #asyncCreatePipeline(name, tvm) {
+    const modelName = name == "refiner" ? "Stable-Diffusion-XL-Refiner" : name;
+    // only compute the constants of schedulers supported by the model
+    const schedulerConst = this.#computeSchedulerConsts(modelName);
+    let pipeline = undefined;
+    if (name == "Stable-Diffusion-XL") {
+      const tokenizer1 = await this.asyncGetTokenizer(this.config.tokenizer);
+      const tokenizer2 = await this.asyncGetTokenizer(this.config.tokenizer2);
+      pipeline = tvm.withNewScope(() => {
+        return new DiffusionXLPipeline(tvm, tokenizer1, tokenizer2, schedulerConst, tvm.cacheMetadata);
+      });
+    } else if (name == "refiner") {
+      // the refiner is a separate model library, so it runs on its own tvm instance
+      const tokenizer2 = await this.asyncGetTokenizer(this.config.tokenizer2);
+      pipeline = tvm.withNewScope(() => {
+        return new DiffusionXLRefinerPipeline(tvm, tokenizer2, schedulerConst, tvm.cacheMetadata);
+      });
+    } else {
+      console.log("entered SD pipeline")
+      const tokenizer = await this.asyncGetTokenizer(this.config.tokenizer);
+      pipeline = tvm.withNewScope(() => {
+        return new StableDiffusionPipeline(tvm, tokenizer, schedulerConst, tvm.cacheMetadata);
+      });
+    }
+    await pipeline.asyncLoadWebGPUPipelines();
+    return pipeline;
+  }
+
+  /**
+   * Get a loaded model, loading it when needed.
+   *
+   * Models stay loaded so that switching back is fast. The least recently
+   * used ones are unloaded when the weights exceed gpu_memory_budget_mb of the
+   * config, by default only the models in use stay loaded.
+   *
+   * @param name The model name in the config, "refiner" for the SDXL refiner.
+   * @param keep The names of other models in use, that must stay loaded.
+   * @returns The loaded model, with its tvm instance and pipeline.
+   */
+  async #asyncGetModel(name, keep = []) {
+    let model = this.loadedModels.get(name);
+    if (model !== undefined) {
+      // move to the most recently used end
+      this.loadedModels.delete(name);
+      this.loadedModels.set(name, model);
+      return model;
+    }
+    const wasmUrl = this.config.model_lib_map[name];
+    const cacheUrl = this.config.param_dict[name];
+    if (wasmUrl === undefined || cacheUrl === undefined) {
+      throw Error("Model " + name + " not found in the config");
+    }
+    const records = await getModelRecords(this.#resolveCacheUrl(cacheUrl));
+    const nbytes = records.reduce((total, record) => total + record.nbytes, 0);
+    // make room before loading the weights
+    this.#evictModels(nbytes, keep);
+    const tvm = await this.#asyncCreateTVM(wasmUrl, cacheUrl);
+    // debug_leaks in the config reports the leaks of each generate
+    const pipelineTVM = this.config.debug_leaks ?
+      new TVMLeakTracker(tvm, { logger: this.logger }).tvm : tvm;
+    let pipeline = undefined;
+    try {
+      pipeline = await this.#asyncCreatePipeline(name, pipelineTVM);
+    } catch (err) {
+      this.#unloadModel(tvm);
+      throw err;
+    }
+    model = { tvm: tvm, pipeline: pipeline, nbytes: nbytes };
+    this.loadedModels.set(name, model);
+    return model;
+  }
+
+  /**
+   * Unload the least recently used models until the loaded weights
+   * and the required bytes fit in the GPU memory budget.
+   *
+   * @param requiredBytes The weight size of the model to load.
+   * @param keep The names of the models in use.
+   */
+  #evictModels(requiredBytes, keep) {
+    const budgetMB = this.config.gpu_memory_budget_mb !== undefined ?
+      this.config.gpu_memory_budget_mb : 0;
+    let total = requiredBytes;
+    for (const model of this.loadedModels.values()) {
+      total += model.nbytes;
+    }
+    for (const [name, model] of this.loadedModels) {
+      if (total <= budgetMB * 1024 * 1024) break;
+      if (keep.includes(name)) continue;
+      this.#unloadModel(model.tvm, model.pipeline);
+      this.loadedModels.delete(name);
+      total -= model.nbytes;
+      this.logger("Unloaded " + name + " to stay within the GPU memory budget");
+    }
+  }
+
+  /**
+   * Get a tokenizer, loading it on first use.
+   *
+   * @param name The name of the tokenizer.
+   * @returns The tokenizer.
+   */
+  async asyncGetTokenizer(name) {
+    if (!this.tokenizers.has(name)) {
+      this.tokenizers.set(name, await this.getTokenizer(name));
+    }
+    return this.tokenizers.get(name);
+  }
+
+  /**
+   * Count the tokens of a prompt against the prompt token limit.
+   *
+   * @param prompt The prompt, may contain weighted segments.
+   * @returns The token count, the limit and the text of the tokens past the limit.
+   */
+  async asyncCountPromptTokens(prompt) {
+    await this.#asyncInitConfig();
+    const tokenizer = await this.asyncGetTokenizer(this.config.tokenizer);
+    const { tokens } = tokenizeWeightedPrompt(prompt, tokenizer);
+    // the prompt chunks are only known once the model library is loaded
+    const promptChunks = this.pipeline !== undefined ? this.pipeline.promptChunks : 1;
+    const limit = (BaseDiffusionPipeline.maxTokenLength - 2) * promptChunks;
+    let overflow = "";
+    if (tokens.length > limit && tokenizer.decode !== undefined) {
+      overflow = tokenizer.decode(new Uint32Array(tokens.slice(limit)), true);
+    }
+    return { count: tokens.length, limit: limit, overflow: overflow };
+  }
+
+  /**
+   * Async initialize config
+   */
+  async #asyncInitConfig() {
+    if (this.config !== undefined) return;
+    this.config = await (await fetch(this.configUrl)).json();
+  }
+
+  /**
+   * Function to create progress callback tracker.
+   * @returns A progress callback tracker.
+   */
+  #getProgressCallback() {
+    const tstart = performance.now();
+    const progressCallback = (stage, counter, numSteps, totalNumSteps) => {
+      const timeElapsed = (performance.now() - tstart) / 1000;
+      let text = "Generating ... at stage " + stage;
+      if (stage == "unet") {
+        counter += 1;
+        text += " step [" + counter + "/" + numSteps + "]"
+      }
+      if (stage == "vae") {
+        counter = totalNumSteps;
+      }
+      text += ", " + Math.ceil(timeElapsed) + " secs elapsed.";
+      this.onProgress({ progress: counter / totalNumSteps, timeElapsed: timeElapsed, text: text });
+    };
+    return progressCallback;
+  }
+
+  /**
+   * Async initialize instance.
+   */
+  async asyncInit() {
+    if (this.pipeline !== undefined) return;
+    await this.#asyncInitConfig();
+    const model = await this.#asyncGetModel(this.model);
+    this.tvm = model.tvm;
+    this.pipeline = model.pipeline;
+    this.onModelLoad(this.pipeline);
+  }
+
+  /**
+   * Select the model of the next generate jobs,
+   * the loaded models stay loaded.
+   *
+   * @param model The model name.
+   */
+  selectModel(model) {
+    this.model = model;
+    this.tvm = undefined;
+    this.pipeline = undefined;
+  }
+
+  /**
+   * Async initialize
+   *
+   * @param tvm The tvm instance.
+   */
+  async asyncInitOnRPCServerLoad(tvmInstance) {
+    if (this.tvm !== undefined) {
+      throw Error("Cannot reuse a loaded instance for rpc");
+    }
+    this.tvm = tvmInstance;
+
+    this.tvm.beginScope();
+    this.tvm.registerAsyncServerFunc("generate", async (prompt, schedulerName, vaeCycle) => {
+      const negPrompt = "";
+      this.onRPCPrompt(prompt, negPrompt);
+      await this.pipeline.generate(prompt, negPrompt, this.#getProgressCallback(), schedulerName, vaeCycle);
+    });
+    this.tvm.registerAsyncServerFunc("clearCanvas", async () => {
+      this.tvm.clearCanvas();
+    });
+    this.tvm.registerAsyncServerFunc("showImage", async (data) => {
+      this.tvm.showImage(data);
+    });
+    this.tvm.endScope();
+  }
+
+  /**
+   * Add a generate job to the queue,
+   * and process the queue if it is not running yet.
+   * Finished jobs stay in the queue with their status, without their init image and mask.
+   *
+   * @param request The job to add.
+   * @param request.prompt Input prompt.
+   * @param request.negPrompt Input negative prompt.
+   * @param request.schedulerName The name of the scheduler in the scheduler registry.
+   * @param request.vaeCycle Draw the VAE result every cycle iterations, -1 to disable.
+   * @param request.numImages The number of images, generated with consecutive seeds.
+   * @param request.options The generate options of the pipeline.
+   * @param request.guidanceScaleChanged Whether to warn when the guidance scale is ignored.
+   * @param request.refinerStart The fraction of the steps handed to the SDXL refiner,
+   * undefined to disable the refiner.
+   */
+  async generate(request) {
+    this.jobQueue.push({
+      negPrompt: "",
+      vaeCycle: -1,
+      numImages: 1,
+      options: {},
+      guidanceScaleChanged: false,
+      refinerStart: undefined,
+      ...request,
+      id: this.nextJobId++,
+      // one of "queued", "running", "done", "failed", "cancelled"
+      status: "queued",
+      abortController: undefined
+    });
+    this.onQueueChange(this.jobQueue);
+    await this.#processQueue();
+  }
+
+  /**
+   * Run the queued jobs back to back until none is left.
+   */
+  async #processQueue() {
+    if (this.queueRunning) return;
+    this.queueRunning = true;
+    let job;
+    while ((job = this.jobQueue.find((j) => j.status == "queued")) !== undefined) {
+      job.status = "running";
+      job.abortController = new AbortController();
+      this.onQueueChange(this.jobQueue);
+      try {
+        await this.#runJob(job);
+        job.status = "done";
+      } catch (err) {
+        if (err instanceof GenerationCancelledError) {
+          // the pipeline released its states, no need to reset
+          this.logger("Generation cancelled");
+          job.status = "cancelled";
+        } else if (err instanceof InvalidGenerateOptionsError) {
+          // rejected before anything is allocated, the loaded models stay
+          this.logger("Generate error, " + err.toString());
+          job.status = "failed";
+        } else {
+          this.logger("Generate error, " + err.toString());
+          console.log(err.stack);
+          job.status = "failed";
+          this.reset();
+        }
+      }
+      job.abortController = undefined;
+      // the finished job keeps its parameters, not its images
+      job.options = { ...job.options, initImage: undefined, mask: undefined };
+      this.onQueueChange(this.jobQueue);
+    }
+    this.queueRunning = false;
+  }
+
+  /**
+   * Generate the images of a job.
+   *
+   * @param job The job to run.
+   */
+  async #runJob(job) {
+    await this.asyncInit();
+    // keep using the pipeline if another model is selected meanwhile
+    const pipeline = this.pipeline;
+    let refinerStart = job.refinerStart;
+    if (refinerStart !== undefined && this.model != "Stable-Diffusion-XL") {
+      this.logger("The refiner only works with Stable-Diffusion-XL, refiner ignored");
+      refinerStart = undefined;
+    }
+    if (refinerStart !== undefined && this.config.model_lib_map["refiner"] === undefined) {
+      this.logger("The refiner is not in the config, refiner ignored");
+      refinerStart = undefined;
+    }
+    let refiner = undefined;
+    if (refinerStart !== undefined) {
+      refiner = (await this.#asyncGetModel("refiner", [this.model])).pipeline;
+    }
+    const {
+      width = pipeline.constructor.defaultImageSize[0],
+      height = pipeline.constructor.defaultImageSize[1],
+      seed = undefined
+    } = job.options;
+    try {
+      pipeline.checkImageSize(width, height);
+    } catch (err) {
+      throw new InvalidGenerateOptionsError(err);
+    }
+    this.resizeCanvas(width, height);
+    let guidanceScale = job.options.guidanceScale;
+    if (!pipeline.unetGuidanceScaleInput) {
+      if (job.guidanceScaleChanged) {
+        this.logger("The guidance scale is baked into the model library, guidance scale ignored");
+      }
+      guidanceScale = undefined;
+    }
+    for (let i = 0; i < job.numImages; ++i) {
+      // consecutive seeds so that each image of a batch can be reproduced
+      const imageSeed = seed !== undefined ? (seed + i) >>> 0 : undefined;
+      if (job.numImages != 1) {
+        this.logger("Generating image [" + (i + 1) + "/" + job.numImages + "]");
+      }
+      let result = await pipeline.generate(
+        job.prompt, job.negPrompt, this.#getProgressCallback(), job.schedulerName, job.vaeCycle, 10,
+        {
+          ...job.options, seed: imageSeed, guidanceScale: guidanceScale,
+          signal: job.abortController.signal,
+          denoisingEnd: refinerStart !== undefined ? refinerStart : 1
+        });
+      if (result.latents !== undefined) {
+        result = await this.#runRefiner(job, refiner, result, refinerStart);
+      }
+      // the prompt warnings are the same for every image of the job
+      if (i == 0) {
+        for (const warning of result.warnings) {
+          this.logger("Warning: " + warning);
+        }
+      }
+      this.logger("Generated with seed " + result.seed);
+      this.onImage(result);
+    }
+  }
+
+  /**
+   * Finish the denoising of the base pipeline with the refiner.
+   *
+   * @param job The job to run.
+   * @param refiner The refiner pipeline.
+   * @param baseResult The base pipeline result, with the noisy latents.
+   * @param refinerStart The fraction of the steps where the refiner starts.
+   * @returns The refined image, with the generation parameters of the base model.
+   */
+  async #runRefiner(job, refiner, baseResult, refinerStart) {
+    const guidanceScale = refiner.unetGuidanceScaleInput ?
+      job.options.guidanceScale : undefined;
+    const refined = await refiner.generate(
+      job.prompt, job.negPrompt, this.#getProgressCallback(), job.schedulerName, job.vaeCycle, 10,
+      {
+        ...job.options, initImage: undefined, mask: undefined,
+        seed: baseResult.seed, guidanceScale: guidanceScale,
+        signal: job.abortController.signal,
+        // start where the base stopped, later than refinerStart for image-to-image
+        initLatents: baseResult.latents, denoisingStart: refinerStart,
+        initLatentsStep: baseResult.endStep
+      });
+    return {
+      ...refined,
+      model: baseResult.model,
+      refinerStart: refinerStart,
+      warnings: baseResult.warnings
+    };
+  }
+
+  /**
+   * Move a job up or down the queue.
+   *
+   * @param id The job id.
+   * @param offset The number of places to move, negative moves up.
+   */
+  moveJob(id, offset) {
+    const index = this.jobQueue.findIndex((job) => job.id == id);
+    if (index == -1) return;
+    const target = Math.min(Math.max(index + offset, 0), this.jobQueue.length - 1);
+    const [job] = this.jobQueue.splice(index, 1);
+    this.jobQueue.splice(target, 0, job);
+    this.onQueueChange(this.jobQueue);
+  }
+
+  /**
+   * Remove a job from the queue, a running job is cancelled.
+   *
+   * @param id The job id.
+   */
+  removeJob(id) {
+    const index = this.jobQueue.findIndex((job) => job.id == id);
+    if (index == -1) return;
+    const [job] = this.jobQueue.splice(index, 1);
+    if (job.abortController !== undefined) {
+      job.abortController.abort();
+    }
+    this.onQueueChange(this.jobQueue);
+  }
+
+  /**
+   * Cancel the running job, the queued jobs still run.
+   */
+  cancel() {
+    const job = this.jobQueue.find((j) => j.status == "running");
+    if (job === undefined) {
+      this.logger("No generate request in progress");
+      return;
+    }
+    job.abortController.abort();
+  }
+
+  /**
+   * Reset the instance, the WebGPU device stays for the next models.
+   */
+  reset() {
+    for (const model of this.loadedModels.values()) {
+      this.#unloadModel(model.tvm, model.pipeline);
+    }
+    this.loadedModels.clear();
+    this.pipeline = undefined;
+    this.tvm = undefined;
+    this.config = undefined;
+  }
+}
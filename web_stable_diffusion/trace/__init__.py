@@ -1,3 +1,4 @@
 from .model_trace import *
 from .scheduler_trace import Scheduler, DPMSolverMultistepScheduler, PNDMScheduler
+from .scheduler_trace import EulerAncestralScheduler, DDIMScheduler, LCMScheduler
 from .scheduler_trace import compute_save_scheduler_consts, schedulers
@@ -5,7 +5,7 @@ from .. import utils as utils
 from . import scheduler_trace as scheduler_trace
 
 import tvm
-from tvm import relax
+from tvm import relax, tir
 from tvm.relax.frontend.torch import dynamo_capture_subgraphs, from_fx
 from tvm.script import relax as R
 
@@ -34,18 +34,19 @@ def clip_to_text_embeddings(pipe) -> tvm.IRModule:
     return tvm.IRModule({"clip": mod["subgraph_0"]})
 
 
-def unet_latents_to_noise_pred(pipe, device_str: str) -> tvm.IRModule:
+def unet_latents_to_noise_pred(
+    pipe, device_str: str, prompt_chunks: int = 1
+) -> tvm.IRModule:
     class UNetModelWrapper(torch.nn.Module):
         def __init__(self, unet):
             super().__init__()
             self.unet = unet
-            self.guidance_scale = 7.5
 
-        def forward(self, latents, timestep_tensor, text_embeddings):
+        def forward(self, latents, timestep_tensor, text_embeddings, guidance_scale):
             latent_model_input = torch.cat([latents] * 2, dim=0)
             noise_pred = self.unet(latent_model_input, timestep_tensor, text_embeddings)
             noise_pred_uncond, noise_pred_text = noise_pred.chunk(2)
-            noise_pred = noise_pred_uncond + self.guidance_scale * (
+            noise_pred = noise_pred_uncond + guidance_scale * (
                 noise_pred_text - noise_pred_uncond
             )
             return noise_pred
@@ -66,7 +67,12 @@ def unet_latents_to_noise_pred(pipe, device_str: str) -> tvm.IRModule:
     graph = fx.symbolic_trace(unet_to_noise_pred)
     mod = from_fx(
         graph,
-        [((1, 4, 64, 64), "float32"), ((), "int32"), ((2, 77, hidden_size), "float32")],
+        [
+            ((1, 4, 64, 64), "float32"),
+            ((), "int32"),
+            ((2, 77 * prompt_chunks, hidden_size), "float32"),
+            ((), "float32"),
+        ],
         keep_params_as_input=True,
     )
     return tvm.IRModule({"unet": mod["main"]})
@@ -108,6 +114,35 @@ def vae_to_image(pipe) -> tvm.IRModule:
     return tvm.IRModule({"vae": mod["main"]})
 
 
+def vae_to_latents(pipe) -> tvm.IRModule:
+    class VAEEncoderWrapper(torch.nn.Module):
+        def __init__(self, vae):
+            super().__init__()
+            self.vae = vae
+
+        def forward(self, image):
+            # Image normalization, inverse of the one in vae_to_image
+            image = image.permute(0, 3, 1, 2) / 255
+            image = image * 2 - 1
+            # VAE encode, use the mean of the latent distribution
+            moments = self.vae.quant_conv(self.vae.encoder(image))
+            mean, _ = torch.chunk(moments, 2, dim=1)
+            # Scale the latents with the same factor used in vae_to_image
+            latents = 0.18215 * mean
+            return latents
+
+    vae = utils.get_vae(pipe, "1.5")
+    vae_to_latents = VAEEncoderWrapper(vae)
+
+    graph = fx.symbolic_trace(vae_to_latents)
+    mod = from_fx(
+        graph,
+        [((1, 512, 512, 3), "float32")],
+        keep_params_as_input=True,
+    )
+    return tvm.IRModule({"encoder": mod["main"]})
+
+
 def image_to_rgba() -> tvm.IRModule:
     from tvm import te
 
@@ -135,9 +170,11 @@ def image_to_rgba() -> tvm.IRModule:
 
 def concat_embeddings() -> tvm.IRModule:
     bb = relax.BlockBuilder()
-    cond_embeddings = relax.Var("cond_embeddings", R.Tensor([1, 77, 768], "float32"))
+    # the sequence length depends on the number of prompt chunks
+    n = tir.Var("n", "int64")
+    cond_embeddings = relax.Var("cond_embeddings", R.Tensor([1, n, 768], "float32"))
     uncond_embeddings = relax.Var(
-        "uncond_embeddings", R.Tensor([1, 77, 768], "float32")
+        "uncond_embeddings", R.Tensor([1, n, 768], "float32")
     )
     with bb.function("concat_embeddings", [cond_embeddings, uncond_embeddings]):
         with bb.dataflow():
@@ -146,3 +183,45 @@ def concat_embeddings() -> tvm.IRModule:
             )
         bb.emit_func_output(gv)
     return bb.get()
+
+
+def prompt_weighting() -> tvm.IRModule:
+    bb = relax.BlockBuilder()
+    n = tir.Var("n", "int64")
+    m = tir.Var("m", "int64")
+    h = tir.Var("h", "int64")
+
+    # scale every token embedding by its weight, then restore the original mean
+    embeddings = relax.Var("embeddings", R.Tensor([1, n, h], "float32"))
+    weights = relax.Var("weights", R.Tensor([1, n], "float32"))
+    with bb.function("weight_embeddings", [embeddings, weights]):
+        with bb.dataflow():
+            original_mean = bb.emit(relax.op.mean(embeddings))
+            weighted = bb.emit(embeddings * relax.op.expand_dims(weights, axis=2))
+            gv = bb.emit_output(
+                weighted * (original_mean / relax.op.mean(weighted))
+            )
+        bb.emit_func_output(gv)
+
+    # join the embeddings of two prompt chunks along the sequence
+    lhs = relax.Var("lhs", R.Tensor([1, n, h], "float32"))
+    rhs = relax.Var("rhs", R.Tensor([1, m, h], "float32"))
+    with bb.function("concat_prompt_chunks", [lhs, rhs]):
+        with bb.dataflow():
+            gv = bb.emit_output(relax.op.concat([lhs, rhs], axis=1))
+        bb.emit_func_output(gv)
+    return bb.get()
+
+
+def masked_blend() -> tvm.IRModule:
+    bb = relax.BlockBuilder()
+    latents = relax.Var("latents", R.Tensor([1, 4, 64, 64], "float32"))
+    known_latents = relax.Var("known_latents", R.Tensor([1, 4, 64, 64], "float32"))
+    mask = relax.Var("mask", R.Tensor([1, 1, 64, 64], "float32"))
+    with bb.function("masked_blend", [latents, known_latents, mask]):
+        with bb.dataflow():
+            gv = bb.emit_output(
+                mask * latents + (relax.const(1, "float32") - mask) * known_latents
+            )
+        bb.emit_func_output(gv)
+    return bb.get()
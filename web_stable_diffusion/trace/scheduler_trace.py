@@ -324,15 +324,119 @@ class DPMSolverMultistepScheduler(Scheduler):
         }
 
 
+# the schedulers below only run in the web app, which computes their constants in JS
+class EulerAncestralScheduler(Scheduler):
+    @staticmethod
+    def scheduler_steps() -> tvm.IRModule:
+        bb = relax.BlockBuilder()
+
+        # Scheduler scale_model_input
+        sample = relax.Var("sample", R.Tensor((1, 4, 64, 64), "float32"))
+        input_scale = relax.Var("input_scale", R.Tensor((), "float32"))
+        with bb.function("euler_ancestral_scheduler_scale", [sample, input_scale]):
+            scaled_sample = bb.emit(sample * input_scale, "scaled_sample")
+            bb.emit_func_output(scaled_sample)
+
+        # Scheduler step, the noise is drawn by the caller
+        sample = relax.Var("sample", R.Tensor((1, 4, 64, 64), "float32"))
+        model_output = relax.Var("model_output", R.Tensor((1, 4, 64, 64), "float32"))
+        noise = relax.Var("noise", R.Tensor((1, 4, 64, 64), "float32"))
+        sigma = relax.Var("sigma", R.Tensor((), "float32"))
+        sigma_down = relax.Var("sigma_down", R.Tensor((), "float32"))
+        sigma_up = relax.Var("sigma_up", R.Tensor((), "float32"))
+        with bb.function(
+            "euler_ancestral_scheduler_step",
+            [sample, model_output, noise, sigma, sigma_down, sigma_up],
+        ):
+            # the derivative of the epsilon prediction is the model output
+            prev_sample = bb.emit(
+                sample + (sigma_down - sigma) * model_output + sigma_up * noise,
+                "prev_sample",
+            )
+            bb.emit_func_output(prev_sample)
+
+        return bb.get()
+
+    @staticmethod
+    def scheduler_steps_func_names() -> List[str]:
+        return ["euler_ancestral_scheduler_scale", "euler_ancestral_scheduler_step"]
+
+
+class DDIMScheduler(Scheduler):
+    @staticmethod
+    def scheduler_steps() -> tvm.IRModule:
+        bb = relax.BlockBuilder()
+
+        sample = relax.Var("sample", R.Tensor((1, 4, 64, 64), "float32"))
+        model_output = relax.Var("model_output", R.Tensor((1, 4, 64, 64), "float32"))
+        sample_coeff = relax.Var("sample_coeff", R.Tensor((), "float32"))
+        model_output_coeff = relax.Var("model_output_coeff", R.Tensor((), "float32"))
+        with bb.function(
+            "ddim_scheduler_step",
+            [sample, model_output, sample_coeff, model_output_coeff],
+        ):
+            prev_sample = bb.emit(
+                sample_coeff * sample + model_output_coeff * model_output,
+                "prev_sample",
+            )
+            bb.emit_func_output(prev_sample)
+
+        return bb.get()
+
+    @staticmethod
+    def scheduler_steps_func_names() -> List[str]:
+        return ["ddim_scheduler_step"]
+
+
+class LCMScheduler(Scheduler):
+    @staticmethod
+    def scheduler_steps() -> tvm.IRModule:
+        bb = relax.BlockBuilder()
+
+        # Scheduler step, the noise is drawn by the caller
+        sample = relax.Var("sample", R.Tensor((1, 4, 64, 64), "float32"))
+        model_output = relax.Var("model_output", R.Tensor((1, 4, 64, 64), "float32"))
+        noise = relax.Var("noise", R.Tensor((1, 4, 64, 64), "float32"))
+        consts = [relax.Var(f"c{i}", R.Tensor((), "float32")) for i in range(3)]
+        with bb.function(
+            "lcm_scheduler_step", [sample, model_output, noise, *consts]
+        ):
+            prev_sample = bb.emit(
+                consts[0] * sample + consts[1] * model_output + consts[2] * noise,
+                "prev_sample",
+            )
+            bb.emit_func_output(prev_sample)
+
+        return bb.get()
+
+    @staticmethod
+    def scheduler_steps_func_names() -> List[str]:
+        return ["lcm_scheduler_step"]
+
+
 ########################################################################
 
-schedulers: List[Type[Scheduler]] = [DPMSolverMultistepScheduler, PNDMScheduler]
+schedulers: List[Type[Scheduler]] = [
+    DPMSolverMultistepScheduler,
+    PNDMScheduler,
+    EulerAncestralScheduler,
+    DDIMScheduler,
+    LCMScheduler,
+]
+
+
+# the schedulers of the native runtime in web_stable_diffusion/runtime, which reads
+# their constants from the artifact path, the web app computes its constants in JS.
+native_runtime_schedulers: List[Type[Scheduler]] = [
+    DPMSolverMultistepScheduler,
+    PNDMScheduler,
+]
 
 
 def compute_save_scheduler_consts(artifact_path: str) -> None:
     import json
 
-    for scheduler in schedulers:
+    for scheduler in native_runtime_schedulers:
         jsonstring = json.dumps(scheduler.compute_const_dict())
         with open(f"{artifact_path}/{scheduler.consts_json_file_name}", "w") as file:
             file.write(jsonstring)
@@ -94,16 +94,43 @@ def transform_params(
     return new_params
 
 
-def save_params(params: Dict[str, List[tvm.nd.NDArray]], artifact_path: str) -> None:
+def save_params(
+    params: Dict[str, List[tvm.nd.NDArray]], artifact_path: str, prompt_chunks: int = 1
+) -> None:
     from tvm.contrib import tvmjs
 
-    meta_data = {}
+    # the image sizes the model library is compiled for, as [width, height],
+    # the number of 77-token prompt chunks the unet takes, and whether the unet
+    # takes the guidance scale as its last input, which the traced unet does
+    meta_data = {
+        "imageSizes": [[512, 512]],
+        "promptChunks": prompt_chunks,
+        "unetGuidanceScaleInput": True,
+    }
     param_dict = {}
-    for model in ["unet", "vae", "clip"]:
+    for model in ["unet", "vae", "clip", "encoder"]:
         meta_data[f"{model}ParamSize"] = len(params[model])
         for i, nd in enumerate(params[model]):
             param_dict[f"{model}_{i}"] = nd
     tvmjs.dump_ndarray_cache(param_dict, f"{artifact_path}/params", meta_data=meta_data)
+    add_shard_hashes(f"{artifact_path}/params")
+
+
+def add_shard_hashes(cache_dir: str) -> None:
+    """Record the sha256 of every shard in ndarray-cache.json,
+    so that the web app can verify the downloaded shards."""
+    import hashlib
+    import json
+    import os
+
+    cache_path = os.path.join(cache_dir, "ndarray-cache.json")
+    with open(cache_path, "r") as infile:
+        cache = json.load(infile)
+    for record in cache["records"]:
+        with open(os.path.join(cache_dir, record["dataPath"]), "rb") as shard:
+            record["sha256"] = hashlib.sha256(shard.read()).hexdigest()
+    with open(cache_path, "w") as outfile:
+        json.dump(cache, outfile, indent=4)
 
 
 def load_params(artifact_path: str, device) -> Dict[str, List[tvm.nd.NDArray]]:
@@ -111,7 +138,7 @@ def load_params(artifact_path: str, device) -> Dict[str, List[tvm.nd.NDArray]]:
 
     pdict = {}
     params, meta = tvmjs.load_ndarray_cache(f"{artifact_path}/params", device)
-    for model in ["vae", "unet", "clip"]:
+    for model in ["vae", "unet", "clip", "encoder"]:
         plist = []
         size = meta[f"{model}ParamSize"]
         for i in range(size):